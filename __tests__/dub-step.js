@@ -1,6 +1,18 @@
 import React from 'react';
 import { render, mount } from 'enzyme';
-import DubStep from '../src/dub-step';
+import DubStep, { LabelsProvider } from '../src/dub-step';
+
+// Drags the step component of `element` `distance` px to the left with the mouse in `duration` ms.
+function swipe(element, { distance, duration, width }) {
+  const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(0);
+  const target = { offsetWidth: width };
+  const step = () => element.find('div');
+  step().simulate('mouseDown', { clientX: 500, clientY: 0, target });
+  nowSpy.mockReturnValue(duration);
+  step().simulate('mouseMove', { clientX: 500 - distance, clientY: 0, target });
+  step().simulate('mouseUp', { target });
+  nowSpy.mockRestore();
+}
 
 test('Renders without errors', () => {
   render(<DubStep>{({ step }) => <div>{step}</div>}</DubStep>);
@@ -156,3 +168,1459 @@ test('StepIndex component changes step to given number', () => {
   expect(onAfterChangeSpy).toHaveBeenCalled();
   expect(element).toMatchSnapshot();
 });
+
+test('KeyboardRegion component changes step on navigation keys', () => {
+  const element = mount(
+    <DubStep total={5}>
+      {({ KeyboardRegion, step }) => (
+        <KeyboardRegion className="region">{step}</KeyboardRegion>
+      )}
+    </DubStep>
+  );
+  const region = element.find('div.region');
+  expect(region.prop('tabIndex')).toBe(0);
+  region.simulate('keyDown', { key: 'ArrowRight' });
+  expect(element.state().step).toBe(1);
+  region.simulate('keyDown', { key: 'End' });
+  expect(element.state().step).toBe(4);
+  region.simulate('keyDown', { key: 'PageUp' });
+  expect(element.state().step).toBe(3);
+  region.simulate('keyDown', { key: 'Home' });
+  expect(element.state().step).toBe(0);
+  region.simulate('keyDown', { key: 'ArrowDown' });
+  expect(element.state().step).toBe(0);
+});
+
+test('getKeyboardProps uses the vertical arrows or a custom keyMap', () => {
+  const vertical = mount(
+    <DubStep total={5} vertical>
+      {({ getKeyboardProps }) => <div {...getKeyboardProps()} />}
+    </DubStep>
+  );
+  vertical.find('div').simulate('keyDown', { key: 'ArrowDown' });
+  expect(vertical.state().step).toBe(1);
+  vertical.find('div').simulate('keyDown', { key: 'ArrowLeft' });
+  expect(vertical.state().step).toBe(1);
+
+  const custom = mount(
+    <DubStep total={5} keyMap={{ j: 'next', k: 'previous' }}>
+      {({ getKeyboardProps }) => <div {...getKeyboardProps()} />}
+    </DubStep>
+  );
+  custom.find('div').simulate('keyDown', { key: 'j' });
+  custom.find('div').simulate('keyDown', { key: 'j' });
+  expect(custom.state().step).toBe(2);
+  custom.find('div').simulate('keyDown', { key: 'ArrowRight' });
+  expect(custom.state().step).toBe(2);
+});
+
+test('KeyboardRegion ignores keys typed into form controls', () => {
+  const preventDefault = jest.fn();
+  const element = mount(
+    <DubStep total={5}>
+      {({ KeyboardRegion, step }) => (
+        <KeyboardRegion className="region">
+          {step}
+          <input />
+          <div contentEditable />
+        </KeyboardRegion>
+      )}
+    </DubStep>
+  );
+  element
+    .find('input')
+    .simulate('keyDown', { key: 'ArrowRight', preventDefault });
+  element
+    .find('[contentEditable]')
+    .simulate('keyDown', { key: 'End', preventDefault });
+  expect(element.state().step).toBe(0);
+  expect(preventDefault).not.toHaveBeenCalled();
+});
+
+test('KeyboardRegion ignores keys pressed with a modifier', () => {
+  const preventDefault = jest.fn();
+  const element = mount(
+    <DubStep total={5}>
+      {({ KeyboardRegion, step }) => (
+        <KeyboardRegion className="region">{step}</KeyboardRegion>
+      )}
+    </DubStep>
+  );
+  const region = element.find('div.region');
+  region.simulate('keyDown', {
+    key: 'ArrowRight',
+    altKey: true,
+    preventDefault,
+  });
+  region.simulate('keyDown', { key: 'End', ctrlKey: true, preventDefault });
+  region.simulate('keyDown', {
+    key: 'ArrowRight',
+    metaKey: true,
+    preventDefault,
+  });
+  expect(element.state().step).toBe(0);
+  expect(preventDefault).not.toHaveBeenCalled();
+  region.simulate('keyDown', { key: 'ArrowRight', shiftKey: true });
+  expect(element.state().step).toBe(1);
+});
+
+test('Container and Slide components emit the carousel pattern markup', () => {
+  const element = mount(
+    <DubStep id="doges" total={3} defaultStep={1}>
+      {({ Container, Slide }) => (
+        <Container aria-label="doge pics">
+          {[0, 1, 2].map(i => (
+            <Slide step={i} key={i} className={`s${i}`} />
+          ))}
+        </Container>
+      )}
+    </DubStep>
+  );
+  const container = element.find('section');
+  expect(container.prop('id')).toBe('doges');
+  expect(container.prop('aria-roledescription')).toBe('carousel');
+  expect(container.prop('aria-label')).toBe('doge pics');
+  const slide = element.find('div.s1');
+  expect(slide.prop('id')).toBe('doges-slide-1');
+  expect(slide.prop('role')).toBe('group');
+  expect(slide.prop('aria-roledescription')).toBe('slide');
+  expect(slide.prop('aria-label')).toBe('2 of 3');
+  expect(slide.prop('aria-hidden')).toBe(false);
+  expect(element.find('div.s0').prop('aria-hidden')).toBe(true);
+});
+
+test('StepIndex components with role tab are linked to their slides', () => {
+  const element = mount(
+    <DubStep total={2}>
+      {({ TabList, StepIndex, getSlideProps }) => (
+        <div>
+          <div {...getSlideProps({ step: 1 })} />
+          <TabList>
+            <StepIndex role="tab" step={0} className="t0" />
+            <StepIndex role="tab" step={1} className="t1" />
+          </TabList>
+        </div>
+      )}
+    </DubStep>
+  );
+  expect(element.find('div[role="tablist"]')).toHaveLength(1);
+  const tab = element.find('button.t1');
+  expect(tab.prop('aria-selected')).toBe(false);
+  expect(tab.prop('tabIndex')).toBe(-1);
+  expect(tab.prop('aria-controls')).toBe(
+    element.find('div[role="group"]').prop('id')
+  );
+  tab.simulate('click');
+  expect(element.find('button.t1').prop('aria-selected')).toBe(true);
+  expect(element.find('button.t0').prop('tabIndex')).toBe(-1);
+});
+
+test('Arrow keys, Home and End move between the tabs of a TabList', () => {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  const element = mount(
+    <DubStep total={3}>
+      {({ TabList, StepIndex }) => (
+        <TabList>
+          <StepIndex role="tab" step={0} className="t0" />
+          <StepIndex role="tab" step={1} className="t1" />
+          <StepIndex role="tab" step={2} className="t2" />
+        </TabList>
+      )}
+    </DubStep>,
+    { attachTo: container }
+  );
+  const keyDown = key => element.find('button.t0').simulate('keyDown', { key });
+  const selected = () => element.find('button[aria-selected=true]');
+  keyDown('ArrowRight');
+  expect(element.state().step).toBe(1);
+  expect(document.activeElement).toBe(selected().getDOMNode());
+  keyDown('End');
+  expect(element.state().step).toBe(2);
+  keyDown('ArrowRight');
+  expect(element.state().step).toBe(2);
+  keyDown('Home');
+  expect(element.state().step).toBe(0);
+  expect(document.activeElement).toBe(element.find('button.t0').getDOMNode());
+  keyDown('Enter');
+  expect(element.state().step).toBe(0);
+  element.detach();
+  document.body.removeChild(container);
+});
+
+test('LiveRegion component announces step changes', () => {
+  const element = mount(
+    <DubStep announce total={5}>
+      {({ LiveRegion, Next }) => (
+        <div>
+          <LiveRegion />
+          <Next />
+        </div>
+      )}
+    </DubStep>
+  );
+  expect(element.find('div[aria-live]').text()).toBe('');
+  element.find('button').simulate('click');
+  const liveRegion = element.find('div[aria-live]');
+  expect(liveRegion.prop('aria-live')).toBe('polite');
+  expect(liveRegion.text()).toBe('Slide 2 of 5');
+  expect(liveRegion.prop('style').position).toBe('absolute');
+});
+
+test('getLiveRegionProps formats the announcement and is silent while autoplaying', () => {
+  const element = mount(
+    <DubStep
+      announce
+      duration={150}
+      formatAnnouncement={({ step }) => `Diapositiva ${step + 1}`}
+    >
+      {({ getLiveRegionProps, Next, Play }) => (
+        <div>
+          <p {...getLiveRegionProps()} />
+          <Next className="next" />
+          <Play className="play" />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button.next').simulate('click');
+  expect(element.find('p').text()).toBe('Diapositiva 2');
+  expect(element.find('p').prop('aria-live')).toBe('polite');
+  element.find('button.play').simulate('click');
+  expect(element.find('p').prop('aria-live')).toBe('off');
+  element.unmount();
+});
+
+test('labels prop localizes the built-in controls', () => {
+  const element = mount(
+    <DubStep
+      total={3}
+      labels={{
+        next: ({ step, total }) => `Ir a ${step + 1} de ${total}`,
+        previous: 'anterior',
+        slide: ({ step, rtl }) => `${rtl ? 'rtl' : 'ltr'} ${step}`,
+      }}
+      rtl
+    >
+      {({ Next, Previous, Pause, Slide }) => (
+        <div>
+          <Slide step={2} />
+          <Next />
+          <Previous />
+          <Pause />
+        </div>
+      )}
+    </DubStep>
+  );
+  const buttons = element.find('button');
+  expect(buttons.at(0).prop('aria-label')).toBe('Ir a 2 de 3');
+  expect(buttons.at(1).prop('aria-label')).toBe('anterior');
+  expect(buttons.at(2).prop('aria-label')).toBe('pause');
+  expect(element.find('div[role="group"]').prop('aria-label')).toBe('rtl 2');
+});
+
+test('LabelsProvider supplies default labels to every DubStep', () => {
+  const element = mount(
+    <LabelsProvider labels={{ next: 'suivant', play: 'lecture' }}>
+      <DubStep labels={{ play: 'jouer' }}>
+        {({ Next, Play }) => (
+          <div>
+            <Next />
+            <Play />
+          </div>
+        )}
+      </DubStep>
+    </LabelsProvider>
+  );
+  expect(
+    element
+      .find('button')
+      .at(0)
+      .prop('aria-label')
+  ).toBe('suivant');
+  expect(
+    element
+      .find('button')
+      .at(1)
+      .prop('aria-label')
+  ).toBe('jouer');
+});
+
+test('stateReducer can modify the changes dub-step applies', () => {
+  const stateReducer = jest.fn((state, changes) => {
+    if (changes.type === DubStep.stateChangeTypes.next && changes.step > 1) {
+      return { ...changes, step: state.step };
+    }
+    return changes;
+  });
+  const onChangeSpy = jest.fn();
+  const element = mount(
+    <DubStep total={5} stateReducer={stateReducer} onChange={onChangeSpy}>
+      {({ Next, StepIndex }) => (
+        <div>
+          <Next className="next" />
+          <StepIndex className="index" step={3} />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button.next').simulate('click');
+  element.find('button.next').simulate('click');
+  expect(element.state().step).toBe(1);
+  expect(onChangeSpy).toHaveBeenLastCalledWith(1, expect.any(Object));
+  element.find('button.index').simulate('click');
+  expect(element.state().step).toBe(3);
+  expect(stateReducer).toHaveBeenCalledWith(
+    expect.objectContaining({ step: 1 }),
+    expect.objectContaining({
+      type: DubStep.stateChangeTypes.stepControlClick,
+      step: 3,
+    })
+  );
+});
+
+test('Step changes turned down by stateReducer are not reported', () => {
+  const onChangeSpy = jest.fn();
+  const onAfterChangeSpy = jest.fn();
+  const element = mount(
+    <DubStep
+      announce
+      total={3}
+      stateReducer={(state, changes) =>
+        changes.step === 1 ? { ...changes, step: state.step } : changes
+      }
+      onChange={onChangeSpy}
+      onAfterChange={onAfterChangeSpy}
+    >
+      {({ Next, LiveRegion }) => (
+        <div>
+          <Next />
+          <LiveRegion />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button').simulate('click');
+  expect(element.state().step).toBe(0);
+  expect(onChangeSpy).not.toHaveBeenCalled();
+  expect(onAfterChangeSpy).not.toHaveBeenCalled();
+  expect(element.state().announcement).toBe('');
+});
+
+test('stateReducer receives play/pause changes', () => {
+  const stateReducer = jest.fn((state, changes) => changes);
+  const element = mount(
+    <DubStep duration={150} stateReducer={stateReducer}>
+      {({ Play, Pause }) => (
+        <div>
+          <Play className="play" />
+          <Pause className="pause" />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button.play').simulate('click');
+  expect(stateReducer).toHaveBeenLastCalledWith(
+    expect.objectContaining({ paused: true }),
+    { type: DubStep.stateChangeTypes.play, paused: false }
+  );
+  element.find('button.pause').simulate('click');
+  expect(stateReducer).toHaveBeenLastCalledWith(
+    expect.objectContaining({ paused: false }),
+    { type: DubStep.stateChangeTypes.pause, paused: true }
+  );
+});
+
+test('onStateChange is called with the changed state and its type', () => {
+  const onStateChangeSpy = jest.fn();
+  const element = mount(
+    <DubStep total={3} duration={150} onStateChange={onStateChangeSpy}>
+      {({ Next, Play }) => (
+        <div>
+          <Next className="next" />
+          <Play className="play" />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button.next').simulate('click');
+  expect(onStateChangeSpy).toHaveBeenCalledTimes(2);
+  expect(onStateChangeSpy).toHaveBeenCalledWith(
+    { type: DubStep.stateChangeTypes.next, step: 1 },
+    expect.objectContaining({ step: 1 })
+  );
+  expect(onStateChangeSpy).toHaveBeenLastCalledWith(
+    {
+      type: DubStep.stateChangeTypes.next,
+      visitedSteps: [0, 1],
+      maxReachedStep: 1,
+    },
+    expect.objectContaining({ step: 1 })
+  );
+  element.find('button.play').simulate('click');
+  expect(onStateChangeSpy).toHaveBeenLastCalledWith(
+    { type: DubStep.stateChangeTypes.play, paused: false },
+    expect.objectContaining({ paused: false })
+  );
+  element.unmount();
+});
+
+test('onStateChange reports requested changes to controlled state', () => {
+  const onStateChangeSpy = jest.fn();
+  const element = mount(
+    <DubStep step={2} onStateChange={onStateChangeSpy}>
+      {({ Previous }) => <Previous />}
+    </DubStep>
+  );
+  element.find('button').simulate('click');
+  expect(onStateChangeSpy).toHaveBeenLastCalledWith(
+    { type: DubStep.stateChangeTypes.previous, step: 1 },
+    expect.objectContaining({ step: 2, visitedSteps: [2] })
+  );
+});
+
+test('Swipe state can be controlled', () => {
+  const element = mount(
+    <DubStep swipeLeftDistance={120} dragging>
+      {({ swipeLeftDistance, dragging }) => (
+        <div>{`${dragging} ${swipeLeftDistance}`}</div>
+      )}
+    </DubStep>
+  );
+  expect(element.text()).toBe('true 120');
+  element.setProps({ swipeLeftDistance: -40 });
+  expect(element.text()).toBe('true -40');
+});
+
+test('Warns when a prop changes between controlled and uncontrolled', () => {
+  const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const element = mount(
+    <DubStep animating={false}>{({ step }) => <div>{step}</div>}</DubStep>
+  );
+  element.setProps({ animating: undefined });
+  expect(errorSpy).toHaveBeenCalledWith(
+    expect.stringContaining('`animating` prop changed from controlled')
+  );
+  errorSpy.mockRestore();
+});
+
+test('A fast short flick changes step while a slow short drag does not', () => {
+  const element = mount(
+    <DubStep swipe draggable total={5}>
+      {({ Step, swipeVelocity }) => <Step>{swipeVelocity}</Step>}
+    </DubStep>
+  );
+
+  swipe(element, { distance: 30, duration: 1000, width: 1000 });
+  expect(element.state().step).toBe(0);
+  expect(element.state().swipeVelocity).toBe(0);
+
+  swipe(element, { distance: 30, duration: 20, width: 1000 });
+  expect(element.state().step).toBe(1);
+  expect(element.state().swipeVelocity).toBe(-1.5);
+});
+
+test('multiStepSwipe moves by the number of steps swiped across', () => {
+  const element = mount(
+    <DubStep swipe draggable multiStepSwipe total={5}>
+      {({ Step }) => <Step />}
+    </DubStep>
+  );
+
+  swipe(element, { distance: 230, duration: 1000, width: 100 });
+  expect(element.state().step).toBe(2);
+  swipe(element, { distance: -120, duration: 1000, width: 100 });
+  expect(element.state().step).toBe(1);
+  // The release velocity carries the swipe past the last step.
+  swipe(element, { distance: 50, duration: 20, width: 100 });
+  expect(element.state().step).toBe(4);
+});
+
+test('edgeResistance dampens drags past the first step', () => {
+  const onEdgeReachedSpy = jest.fn();
+  const target = { offsetWidth: 100 };
+  const element = mount(
+    <DubStep
+      swipe
+      draggable
+      edgeResistance
+      total={3}
+      onEdgeReached={onEdgeReachedSpy}
+    >
+      {({ Step, atStart, atEnd, overscroll, swipeLeftDistance }) => (
+        <Step>{`${atStart} ${atEnd} ${overscroll} ${swipeLeftDistance}`}</Step>
+      )}
+    </DubStep>
+  );
+  element.find('div').simulate('mouseDown', { clientX: 0, clientY: 0, target });
+  element
+    .find('div')
+    .simulate('mouseMove', { clientX: 50, clientY: 0, target });
+  element
+    .find('div')
+    .simulate('mouseMove', { clientX: 100, clientY: 0, target });
+  const [atStart, atEnd, overscroll, swipeLeftDistance] = element
+    .text()
+    .split(' ');
+  expect(atStart).toBe('true');
+  expect(atEnd).toBe('false');
+  expect(overscroll).toBe('100');
+  expect(Number(swipeLeftDistance)).toBeGreaterThan(0);
+  expect(Number(swipeLeftDistance)).toBeLessThan(100);
+  expect(onEdgeReachedSpy).toHaveBeenCalledTimes(1);
+  expect(onEdgeReachedSpy).toHaveBeenCalledWith('start', expect.any(Object));
+  element.find('div').simulate('mouseUp', { target });
+  expect(element.state().overscroll).toBe(0);
+});
+
+describe('Step gesture tracking', () => {
+  const { version } = React;
+  afterEach(() => {
+    React.version = version;
+    delete window.PointerEvent;
+  });
+
+  test('uses touch and mouse handlers without Pointer Events', () => {
+    let stepProps;
+    mount(
+      <DubStep swipe>
+        {({ getStepProps }) => {
+          stepProps = getStepProps();
+          return <div />;
+        }}
+      </DubStep>
+    );
+    expect(stepProps.onTouchStart).toBeInstanceOf(Function);
+    expect(stepProps.onMouseDown).toBeInstanceOf(Function);
+    expect(stepProps.onPointerDown).toBeUndefined();
+  });
+
+  test('uses captured Pointer Events when supported', () => {
+    window.PointerEvent = function PointerEvent() {};
+    React.version = '16.4.0';
+    let stepProps;
+    const element = mount(
+      <DubStep swipe total={3}>
+        {({ getStepProps }) => {
+          stepProps = getStepProps();
+          return <div />;
+        }}
+      </DubStep>
+    );
+    expect(stepProps.onTouchStart).toBeUndefined();
+    expect(stepProps.style).toEqual({ touchAction: 'pan-y' });
+    const setPointerCapture = jest.fn();
+    const event = clientX => ({
+      type: 'pointermove',
+      pointerType: 'touch',
+      pointerId: 1,
+      clientX,
+      clientY: 0,
+      target: { offsetWidth: 100 },
+      currentTarget: { setPointerCapture },
+      preventDefault: () => {},
+    });
+    stepProps.onPointerDown(event(100));
+    stepProps.onPointerMove({ ...event(0), pointerId: 2 });
+    expect(element.state().swipeLeftDistance).toBe(0);
+    expect(setPointerCapture).not.toHaveBeenCalled();
+    stepProps.onPointerMove(event(40));
+    expect(setPointerCapture).toHaveBeenCalledWith(1);
+    expect(element.state().swipeLeftDistance).toBe(-60);
+    stepProps.onPointerUp(event(40));
+    expect(element.state().step).toBe(1);
+  });
+
+  test('leaves the click of a tap to the element under the pointer', () => {
+    window.PointerEvent = function PointerEvent() {};
+    React.version = '16.4.0';
+    const onClickSpy = jest.fn();
+    const setPointerCapture = jest.fn();
+    let stepProps;
+    const element = mount(
+      <DubStep swipe draggable total={3}>
+        {({ getStepProps }) => {
+          stepProps = getStepProps();
+          return (
+            <div>
+              <button onClick={onClickSpy} />
+            </div>
+          );
+        }}
+      </DubStep>
+    );
+    const event = {
+      type: 'pointerdown',
+      pointerType: 'mouse',
+      pointerId: 1,
+      clientX: 50,
+      clientY: 0,
+      target: { offsetWidth: 100 },
+      currentTarget: { setPointerCapture },
+      preventDefault: () => {},
+    };
+    stepProps.onPointerDown(event);
+    stepProps.onPointerMove({ ...event, type: 'pointermove', clientX: 52 });
+    stepProps.onPointerUp({ ...event, type: 'pointerup', clientX: 52 });
+    element.find('button').simulate('click');
+    expect(setPointerCapture).not.toHaveBeenCalled();
+    expect(onClickSpy).toHaveBeenCalled();
+    expect(element.state().step).toBe(0);
+  });
+});
+
+test('Swipes across the axis of the steps are left to the browser', () => {
+  const target = { offsetWidth: 100 };
+  const preventDefault = jest.fn();
+  const element = mount(
+    <DubStep swipe draggable total={3}>
+      {({ Step }) => <Step />}
+    </DubStep>
+  );
+  const move = (clientX, clientY) =>
+    element
+      .find('div')
+      .simulate('mouseMove', { clientX, clientY, target, preventDefault });
+
+  element.find('div').simulate('mouseDown', { clientX: 0, clientY: 0, target });
+  move(2, 5);
+  expect(element.state().dragging).toBe(true);
+  expect(element.state().swipeAxis).toBe(null);
+  move(2, 20);
+  expect(element.state().dragging).toBe(false);
+  expect(element.state().swipeAxis).toBe('y');
+  expect(preventDefault).not.toHaveBeenCalled();
+
+  element.find('div').simulate('mouseDown', { clientX: 0, clientY: 0, target });
+  expect(element.state().swipeAxis).toBe(null);
+  move(-20, 2);
+  expect(element.state().swipeAxis).toBe('x');
+  expect(element.state().swipeLeftDistance).toBe(-20);
+  expect(preventDefault).toHaveBeenCalled();
+});
+
+test('The click following a drag is swallowed', () => {
+  const target = { offsetWidth: 1000 };
+  const onClickSpy = jest.fn();
+  const element = mount(
+    <DubStep swipe draggable total={3}>
+      {({ Step, dragging }) => (
+        <Step className="step">
+          {`${dragging}`}
+          <a href="#doge" onClick={onClickSpy}>
+            doge
+          </a>
+        </Step>
+      )}
+    </DubStep>
+  );
+  const step = () => element.find('div.step');
+  step().simulate('mouseDown', { clientX: 0, clientY: 0, target });
+  step().simulate('mouseMove', { clientX: 20, clientY: 0, target });
+  expect(step().prop('style').userSelect).toBe('none');
+  step().simulate('mouseUp', { target });
+  expect(step().prop('style')).toBeUndefined();
+  element.find('a').simulate('click');
+  expect(onClickSpy).not.toHaveBeenCalled();
+  element.find('a').simulate('click');
+  expect(onClickSpy).toHaveBeenCalledTimes(1);
+
+  const preventDefault = jest.fn();
+  step().simulate('dragStart', { preventDefault });
+  expect(preventDefault).toHaveBeenCalled();
+});
+
+test('Clicks following touch swipes and taps on form controls go through', () => {
+  const target = { offsetWidth: 1000 };
+  const defaultPrevented = [];
+  const element = mount(
+    <DubStep swipe draggable total={3}>
+      {({ Step }) => (
+        <Step className="step">
+          <input
+            type="checkbox"
+            onClick={e => defaultPrevented.push(e.isDefaultPrevented())}
+          />
+        </Step>
+      )}
+    </DubStep>
+  );
+  const step = () => element.find('div.step');
+  const checkbox = () => element.find('input');
+  const touch = pageX => ({ touches: [{ pageX, pageY: 0 }], target });
+  step().simulate('touchStart', touch(0));
+  step().simulate('touchMove', touch(20));
+  step().simulate('touchEnd', { target });
+  checkbox().simulate('touchStart', touch(0));
+  checkbox().simulate('click');
+  expect(defaultPrevented).toEqual([false]);
+
+  step().simulate('mouseDown', { clientX: 0, clientY: 0, target });
+  step().simulate('mouseMove', { clientX: 20, clientY: 0, target });
+  step().simulate('mouseUp', { target });
+  // The drag's click never came, so a click on the checkbox mustn't be swallowed.
+  checkbox().simulate('mouseDown', { clientX: 0, clientY: 0 });
+  checkbox().simulate('click');
+  expect(defaultPrevented).toEqual([false, false]);
+});
+
+test('Swipes do not start on form controls or when shouldStartSwipe says no', () => {
+  const target = { offsetWidth: 1000 };
+  const input = document.createElement('input');
+  const shouldStartSwipe = jest.fn(e => e.clientX !== 1);
+  const element = mount(
+    <DubStep swipe draggable total={3} shouldStartSwipe={shouldStartSwipe}>
+      {({ Step, dragging }) => <Step className="step">{`${dragging}`}</Step>}
+    </DubStep>
+  );
+  const step = () => element.find('div.step');
+  step().simulate('mouseDown', { clientX: 0, clientY: 0, target: input });
+  expect(step().text()).toBe('false');
+  expect(shouldStartSwipe).not.toHaveBeenCalled();
+  step().simulate('mouseDown', { clientX: 1, clientY: 0, target });
+  expect(step().text()).toBe('false');
+  expect(shouldStartSwipe).toHaveBeenCalledTimes(1);
+  step().simulate('mouseDown', { clientX: 0, clientY: 0, target });
+  expect(step().text()).toBe('true');
+});
+
+test('A wheel gesture changes the step once', () => {
+  jest.useFakeTimers();
+  const addEventListenerSpy = jest.spyOn(
+    window.HTMLElement.prototype,
+    'addEventListener'
+  );
+  const onStateChangeSpy = jest.fn();
+  const element = mount(
+    <DubStep wheel total={5} onStateChange={onStateChangeSpy}>
+      {({ Step, step }) => <Step className="step">{step}</Step>}
+    </DubStep>
+  );
+  const step = () => element.find('div.step');
+  const node = step().getDOMNode();
+  // React's wheel listener may be passive, so it couldn't stop the page from scrolling.
+  expect(addEventListenerSpy).toHaveBeenCalledWith(
+    'wheel',
+    expect.any(Function),
+    { passive: false }
+  );
+  addEventListenerSpy.mockRestore();
+  const wheel = (deltaX, deltaY) => {
+    const event = new window.Event('wheel', { cancelable: true });
+    Object.assign(event, { deltaX, deltaY });
+    node.dispatchEvent(event);
+    return event;
+  };
+  expect(wheel(0, 100).defaultPrevented).toBe(false);
+  expect(wheel(30, 0).defaultPrevented).toBe(true);
+  expect(step().text()).toBe('0');
+  wheel(30, 0);
+  expect(step().text()).toBe('1');
+  expect(onStateChangeSpy).toHaveBeenCalledWith(
+    expect.objectContaining({ type: DubStep.stateChangeTypes.wheel, step: 1 }),
+    expect.any(Object)
+  );
+  // The inertial tail of the gesture.
+  jest.runTimersToTime(100);
+  wheel(80, 0);
+  expect(step().text()).toBe('1');
+  jest.runAllTimers();
+  wheel(-80, 0);
+  expect(step().text()).toBe('0');
+  element.unmount();
+  wheel(-80, 0);
+  expect(onStateChangeSpy).toHaveBeenCalledTimes(3);
+  jest.useRealTimers();
+});
+
+test('Wheel listeners are kept between renders', () => {
+  const addEventListenerSpy = jest.spyOn(
+    window.HTMLElement.prototype,
+    'addEventListener'
+  );
+  const stepRef = {};
+  const regionRef = jest.fn();
+  const onStateChangeSpy = jest.fn();
+  const element = mount(
+    <DubStep wheel total={5} onStateChange={onStateChangeSpy}>
+      {({ getStepProps, Next, getWheelProps }) => (
+        <div>
+          <div {...getStepProps({ ref: stepRef, className: 'step' })} />
+          <div {...getWheelProps({ ref: regionRef, className: 'region' })} />
+          <Next />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button').simulate('click');
+  element.find('button').simulate('click');
+  const wheelCalls = addEventListenerSpy.mock.calls.filter(
+    ([type]) => type === 'wheel'
+  );
+  addEventListenerSpy.mockRestore();
+  expect(wheelCalls).toHaveLength(2);
+  const stepNode = element.find('div.step').getDOMNode();
+  const regionNode = element.find('div.region').getDOMNode();
+  expect(stepRef.current).toBe(stepNode);
+  expect(regionRef).toHaveBeenCalledTimes(1);
+  expect(regionRef).toHaveBeenCalledWith(regionNode);
+  [stepNode, regionNode].forEach(node => {
+    const event = new window.Event('wheel', { cancelable: true });
+    Object.assign(event, { deltaX: 30, deltaY: 0 });
+    node.dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(true);
+  });
+  element.unmount();
+});
+
+test('Autoplay waits for the duration of each step', () => {
+  jest.useFakeTimers();
+  const duration = jest.fn(step => [100, 300][step % 2]);
+  const element = mount(
+    <DubStep autoPlay cycle total={4} duration={duration}>
+      {({ step }) => <div>{step}</div>}
+    </DubStep>
+  );
+  jest.runTimersToTime(99);
+  expect(element.text()).toBe('0');
+  jest.runTimersToTime(1);
+  expect(element.text()).toBe('1');
+  jest.runTimersToTime(299);
+  expect(element.text()).toBe('1');
+  jest.runTimersToTime(1);
+  expect(element.text()).toBe('2');
+  expect(duration).toHaveBeenCalledWith(2);
+
+  const onChangeSpy = jest.fn();
+  const controlled = mount(
+    <DubStep
+      autoPlay
+      total={4}
+      step={0}
+      duration={[100, 300]}
+      onChange={onChangeSpy}
+    >
+      {({ step }) => <div>{step}</div>}
+    </DubStep>
+  );
+  jest.runTimersToTime(50);
+  controlled.setProps({ step: 1 });
+  jest.runTimersToTime(299);
+  expect(onChangeSpy).not.toHaveBeenCalled();
+  jest.runTimersToTime(1);
+  expect(onChangeSpy).toHaveBeenCalledWith(2, expect.any(Object));
+
+  // A step without a duration doesn't keep the next one from playing.
+  const stillSpy = jest.fn();
+  const still = mount(
+    <DubStep
+      autoPlay
+      total={4}
+      step={1}
+      duration={[100, 0, 100, 100]}
+      onChange={stillSpy}
+    >
+      {({ step }) => <div>{step}</div>}
+    </DubStep>
+  );
+  jest.runTimersToTime(1000);
+  expect(stillSpy).not.toHaveBeenCalled();
+  still.setProps({ step: 2 });
+  jest.runTimersToTime(100);
+  expect(stillSpy).toHaveBeenCalledWith(3, expect.any(Object));
+  element.unmount();
+  controlled.unmount();
+  still.unmount();
+  jest.useRealTimers();
+});
+
+test('Playing resumes the autoplay timer where it was paused', () => {
+  jest.useFakeTimers();
+  const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(0);
+  const frames = [];
+  window.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+  window.cancelAnimationFrame = jest.fn();
+  const renderSpy = jest.fn(({ step, progress, remainingMs }) => (
+    <div>{`${step} ${progress} ${remainingMs}`}</div>
+  ));
+  const element = mount(
+    <DubStep autoPlay trackProgress total={3} duration={1000}>
+      {renderSpy}
+    </DubStep>
+  );
+  expect(element.text()).toBe('0 0 1000');
+  nowSpy.mockReturnValue(250);
+  renderSpy.mockClear();
+  frames.shift()();
+  expect(renderSpy).toHaveBeenCalledTimes(1);
+  expect(element.text()).toBe('0 0.25 750');
+  element.instance().pause();
+  nowSpy.mockReturnValue(5000);
+  element.instance().play();
+  expect(element.text()).toBe('0 0.25 750');
+  jest.runTimersToTime(749);
+  expect(element.text()).toBe('0 0.25 750');
+  jest.runTimersToTime(1);
+  expect(element.text()).toBe('1 0 1000');
+  element.unmount();
+  expect(window.cancelAnimationFrame).toHaveBeenCalled();
+  delete window.requestAnimationFrame;
+  delete window.cancelAnimationFrame;
+  nowSpy.mockRestore();
+  jest.useRealTimers();
+});
+
+test('Autoplay is suspended while the page is hidden', () => {
+  let hidden = false;
+  Object.defineProperty(document, 'hidden', {
+    configurable: true,
+    get: () => hidden,
+  });
+  const element = mount(
+    <DubStep autoPlay pauseWhenHidden duration={150}>
+      {({ paused }) => <div>{`${paused}`}</div>}
+    </DubStep>
+  );
+  expect(element.instance().timer).toBeDefined();
+  hidden = true;
+  document.dispatchEvent(new Event('visibilitychange'));
+  expect(element.instance().timer).toBeUndefined();
+  expect(element.text()).toBe('false');
+  hidden = false;
+  document.dispatchEvent(new Event('visibilitychange'));
+  expect(element.instance().timer).toBeDefined();
+  element.unmount();
+  delete document.hidden;
+});
+
+test('Autoplay is suspended while the root element is off-screen', () => {
+  const observe = jest.fn();
+  const disconnect = jest.fn();
+  let intersect;
+  window.IntersectionObserver = function IntersectionObserver(callback) {
+    intersect = (...isIntersecting) =>
+      callback(isIntersecting.map(value => ({ isIntersecting: value })));
+    return { observe, disconnect };
+  };
+  const element = mount(
+    <DubStep autoPlay pauseWhenOffscreen duration={150}>
+      {({ getRootProps }) => <div {...getRootProps({ id: 'root' })} />}
+    </DubStep>
+  );
+  expect(observe).toHaveBeenCalledWith(element.find('#root').getDOMNode());
+  intersect(false);
+  expect(element.instance().timer).toBeUndefined();
+  expect(element.state().paused).toBe(false);
+  intersect(false, true);
+  expect(element.instance().timer).toBeDefined();
+  element.unmount();
+  expect(disconnect).toHaveBeenCalled();
+  delete window.IntersectionObserver;
+});
+
+test('The root ref is kept between renders and accepts ref objects', () => {
+  const observe = jest.fn();
+  const disconnect = jest.fn();
+  window.IntersectionObserver = jest.fn(() => ({ observe, disconnect }));
+  const rootRef = {};
+  const element = mount(
+    <DubStep autoPlay pauseWhenOffscreen duration={150} total={3}>
+      {({ getRootProps, Next }) => (
+        <div {...getRootProps({ ref: rootRef, id: 'root' })}>
+          <Next />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button').simulate('click');
+  element.find('button').simulate('click');
+  expect(window.IntersectionObserver).toHaveBeenCalledTimes(1);
+  expect(disconnect).not.toHaveBeenCalled();
+  expect(rootRef.current).toBe(element.find('#root').getDOMNode());
+  element.setProps({ pauseWhenOffscreen: false });
+  expect(disconnect).toHaveBeenCalled();
+  element.unmount();
+  expect(rootRef.current).toBeNull();
+  delete window.IntersectionObserver;
+});
+
+test('pauseWhenHidden can be toggled after mounting', () => {
+  Object.defineProperty(document, 'hidden', {
+    configurable: true,
+    get: () => true,
+  });
+  const element = mount(
+    <DubStep autoPlay duration={150}>
+      {() => <div />}
+    </DubStep>
+  );
+  expect(element.instance().timer).toBeDefined();
+  element.setProps({ pauseWhenHidden: true });
+  expect(element.instance().timer).toBeUndefined();
+  element.setProps({ pauseWhenHidden: false });
+  expect(element.instance().timer).toBeDefined();
+  element.unmount();
+  delete document.hidden;
+});
+
+test('Reduced motion keeps autoPlay from playing and skips animating', () => {
+  let listener;
+  const removeListener = jest.fn();
+  window.matchMedia = jest.fn(() => ({
+    matches: true,
+    addListener: fn => {
+      listener = fn;
+    },
+    removeListener,
+  }));
+  const element = mount(
+    <DubStep autoPlay duration={150} animationSpeed={20}>
+      {({ Next, paused, animating, reducedMotion }) => (
+        <Next className="next">{`${paused} ${animating} ${reducedMotion}`}</Next>
+      )}
+    </DubStep>
+  );
+  const next = () => element.find('button.next');
+  expect(next().text()).toBe('true false true');
+  next().simulate('click');
+  expect(element.state().step).toBe(1);
+  expect(next().text()).toBe('true false true');
+  listener({ matches: false });
+  expect(next().text()).toBe('true false false');
+  element.unmount();
+  expect(removeListener).toHaveBeenCalledWith(listener);
+  delete window.matchMedia;
+
+  const never = mount(
+    <DubStep autoPlay duration={150} reducedMotion="never">
+      {({ paused, reducedMotion }) => <div>{`${paused} ${reducedMotion}`}</div>}
+    </DubStep>
+  );
+  expect(never.text()).toBe('false false');
+  never.unmount();
+});
+
+test('canChange can block step changes', () => {
+  const onChangeRejectedSpy = jest.fn();
+  const canChange = jest.fn((from, to) => to !== 2);
+  const element = mount(
+    <DubStep
+      total={5}
+      canChange={canChange}
+      onChangeRejected={onChangeRejectedSpy}
+    >
+      {({ Next, step }) => <Next className="next">{step}</Next>}
+    </DubStep>
+  );
+  const next = () => element.find('button.next');
+  next().simulate('click');
+  expect(next().text()).toBe('1');
+  expect(canChange).toHaveBeenCalledWith(0, 1, expect.any(Object));
+  next().simulate('click');
+  expect(next().text()).toBe('1');
+  expect(onChangeRejectedSpy).toHaveBeenCalledWith(1, 2, expect.any(Object));
+});
+
+test('canChange can return a Promise and stale ones are ignored', () => {
+  const resolvers = [];
+  const onChangeRejectedSpy = jest.fn();
+  const element = mount(
+    <DubStep
+      total={5}
+      canChange={() =>
+        new Promise(resolve => {
+          resolvers.push(resolve);
+        })
+      }
+      onChangeRejected={onChangeRejectedSpy}
+    >
+      {({ Next, Previous, step, pending }) => (
+        <div>
+          {`${step} ${pending}`}
+          <Next className="next">Next</Next>
+          <Previous className="previous">Previous</Previous>
+        </div>
+      )}
+    </DubStep>
+  );
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+  element.find('button.next').simulate('click');
+  expect(element.text()).toMatch(/^0 true/);
+  element.find('button.next').simulate('click');
+  resolvers[0](true);
+  return flush()
+    .then(() => {
+      expect(element.text()).toMatch(/^0 true/);
+      resolvers[1](false);
+      return flush();
+    })
+    .then(() => {
+      expect(element.text()).toMatch(/^0 false/);
+      expect(onChangeRejectedSpy).toHaveBeenCalledTimes(1);
+      element.find('button.next').simulate('click');
+      resolvers[2](true);
+      return flush();
+    })
+    .then(() => {
+      expect(element.text()).toMatch(/^1 false/);
+    });
+});
+
+test('Disabled steps are skipped and their step controls disabled', () => {
+  const element = mount(
+    <DubStep
+      total={6}
+      disabledSteps={[1]}
+      isStepDisabled={step => step === 2 || step === 5}
+    >
+      {({ Next, Previous, StepIndex, step, canGoNext, canGoPrevious }) => (
+        <div>
+          {`${step} ${canGoNext} ${canGoPrevious}`}
+          <Next className="next">Next</Next>
+          <Previous className="previous">Previous</Previous>
+          <StepIndex className="index" step={2} />
+        </div>
+      )}
+    </DubStep>
+  );
+  expect(element.text()).toMatch(/^0 true false/);
+  expect(element.find('button.index').prop('disabled')).toBe(true);
+  expect(element.find('button.index').prop('aria-disabled')).toBe(true);
+  element.find('button.next').simulate('click');
+  expect(element.text()).toMatch(/^3 true true/);
+  element.find('button.next').simulate('click');
+  expect(element.text()).toMatch(/^4 false true/);
+  element.find('button.next').simulate('click');
+  expect(element.text()).toMatch(/^4 false true/);
+  element.find('button.previous').simulate('click');
+  element.find('button.previous').simulate('click');
+  expect(element.text()).toMatch(/^0 true false/);
+  element.find('button.index').simulate('click');
+  expect(element.text()).toMatch(/^0/);
+});
+
+test('Autoplay stops before a disabled last step', () => {
+  jest.useFakeTimers();
+  const onChangeSpy = jest.fn();
+  const onAfterChangeSpy = jest.fn();
+  const element = mount(
+    <DubStep
+      autoPlay
+      total={3}
+      duration={100}
+      disabledSteps={[2]}
+      onChange={onChangeSpy}
+      onAfterChange={onAfterChangeSpy}
+    >
+      {({ step, StepIndex }) => (
+        <div>
+          {step}
+          <StepIndex className="index" step={1} />
+        </div>
+      )}
+    </DubStep>
+  );
+  jest.runTimersToTime(1000);
+  expect(element.text()).toBe('1');
+  expect(onChangeSpy).toHaveBeenCalledTimes(1);
+  expect(element.instance().timer).toBeUndefined();
+  expect(onAfterChangeSpy).toHaveBeenCalledTimes(1);
+  element.unmount();
+  jest.useRealTimers();
+});
+
+test('Changing to the current step still calls the change callbacks', () => {
+  const onBeforeChangeSpy = jest.fn();
+  const onChangeSpy = jest.fn();
+  const onAfterChangeSpy = jest.fn();
+  const element = mount(
+    <DubStep
+      total={2}
+      defaultStep={1}
+      onBeforeChange={onBeforeChangeSpy}
+      onChange={onChangeSpy}
+      onAfterChange={onAfterChangeSpy}
+    >
+      {({ Next, StepIndex }) => (
+        <div>
+          <Next className="next" />
+          <StepIndex className="index" step={1} />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button.next').simulate('click');
+  element.find('button.index').simulate('click');
+  expect(element.state().step).toBe(1);
+  expect(onBeforeChangeSpy).toHaveBeenCalledTimes(2);
+  expect(onChangeSpy).toHaveBeenCalledTimes(2);
+  expect(onAfterChangeSpy).toHaveBeenCalledTimes(2);
+  expect(onAfterChangeSpy).toHaveBeenLastCalledWith(1, expect.any(Object));
+});
+
+test('Linear mode tracks visited and completed steps', () => {
+  const element = mount(
+    <DubStep linear total={4}>
+      {({
+        Next,
+        StepIndex,
+        step,
+        visitedSteps,
+        completedSteps,
+        maxReachedStep,
+        markComplete,
+        reset,
+      }) => (
+        <div>
+          {`${step} [${visitedSteps}] [${completedSteps}] ${maxReachedStep}`}
+          <Next className="next" />
+          <StepIndex className="index" step={3} />
+          <StepIndex className="first" step={0} />
+          <button className="complete" onClick={() => markComplete()} />
+          <button className="reset" onClick={reset} />
+        </div>
+      )}
+    </DubStep>
+  );
+  expect(element.text()).toBe('0 [0] [] 0');
+  expect(element.find('button.index').prop('disabled')).toBe(true);
+  element.find('button.index').simulate('click');
+  expect(element.text()).toBe('0 [0] [] 0');
+  element.find('button.complete').simulate('click');
+  element.find('button.next').simulate('click');
+  element.find('button.next').simulate('click');
+  element.find('button.next').simulate('click');
+  expect(element.text()).toBe('3 [0,1,2,3] [0] 3');
+  element.find('button.first').simulate('click');
+  expect(element.text()).toBe('0 [0,1,2,3] [0] 3');
+  expect(element.find('button.index').prop('disabled')).toBeUndefined();
+  element.find('button.index').simulate('click');
+  expect(element.text()).toBe('3 [0,1,2,3] [0] 3');
+  element.find('button.reset').simulate('click');
+  expect(element.text()).toBe('0 [0] [] 0');
+});
+
+test('Steps that are turned down are not recorded as reached', () => {
+  const stateReducer = (state, changes) =>
+    changes.step === 1 ? { ...changes, step: state.step } : changes;
+  const renderProgress = ({ Next, step, visitedSteps, maxReachedStep }) => (
+    <div>
+      {`${step} [${visitedSteps}] ${maxReachedStep}`}
+      <Next />
+    </div>
+  );
+  const vetoed = mount(
+    <DubStep linear total={4} stateReducer={stateReducer}>
+      {renderProgress}
+    </DubStep>
+  );
+  vetoed.find('button').simulate('click');
+  expect(vetoed.text()).toBe('0 [0] 0');
+
+  const controlled = mount(
+    <DubStep linear total={4} step={0}>
+      {renderProgress}
+    </DubStep>
+  );
+  controlled.find('button').simulate('click');
+  expect(controlled.text()).toBe('0 [0] 0');
+  controlled.find('button').simulate('click');
+  controlled.setProps({ step: 1 });
+  expect(controlled.text()).toBe('1 [0,1] 1');
+});
+
+test('Linear mode stops jumps at the furthest step that can be reached', () => {
+  let dubStep;
+  const element = mount(
+    <DubStep
+      linear
+      total={6}
+      ref={instance => {
+        dubStep = instance;
+      }}
+    >
+      {({ step }) => <div>{step}</div>}
+    </DubStep>
+  );
+  dubStep.goTo(4);
+  expect(element.text()).toBe('1');
+  dubStep.jumpBy(3);
+  expect(element.text()).toBe('2');
+  dubStep.first();
+  dubStep.jumpBy(5);
+  expect(element.text()).toBe('2');
+  dubStep.jumpBy(5);
+  expect(element.text()).toBe('3');
+
+  const swiped = mount(
+    <DubStep linear swipe draggable multiStepSwipe total={6}>
+      {({ Step }) => <Step />}
+    </DubStep>
+  );
+  swipe(swiped, { distance: 250, duration: 1000, width: 100 });
+  expect(swiped.state().step).toBe(1);
+});
+
+test('Linear mode ignores picking a step that cannot be reached', () => {
+  let dubStep;
+  const element = mount(
+    <DubStep
+      linear
+      total={6}
+      ref={instance => {
+        dubStep = instance;
+      }}
+    >
+      {({ StepIndex, step }) => (
+        <StepIndex component="span" step={4}>
+          {step}
+        </StepIndex>
+      )}
+    </DubStep>
+  );
+  element.find('span').simulate('click');
+  expect(element.text()).toBe('0');
+  dubStep.last();
+  expect(element.text()).toBe('0');
+});
+
+test('reset drops a step change waiting for canChange', () => {
+  let resolveCanChange;
+  const element = mount(
+    <DubStep
+      total={5}
+      canChange={() =>
+        new Promise(resolve => {
+          resolveCanChange = resolve;
+        })
+      }
+    >
+      {({ Next, step, pending, reset }) => (
+        <div>
+          {`${step} ${pending}`}
+          <Next className="next" />
+          <button className="reset" onClick={reset} />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button.next').simulate('click');
+  expect(element.text()).toBe('0 true');
+  element.find('button.reset').simulate('click');
+  expect(element.text()).toBe('0 false');
+  resolveCanChange(true);
+  return new Promise(resolve => setImmediate(resolve)).then(() => {
+    expect(element.text()).toBe('0 false');
+  });
+});
+
+test('goTo, first, last and jumpBy change the step', () => {
+  let dubStep;
+  const element = mount(
+    <DubStep
+      total={5}
+      ref={instance => {
+        dubStep = instance;
+      }}
+    >
+      {({ step }) => <div>{step}</div>}
+    </DubStep>
+  );
+  dubStep.goTo(3);
+  expect(element.text()).toBe('3');
+  dubStep.goTo(10);
+  expect(element.text()).toBe('4');
+  dubStep.first();
+  expect(element.text()).toBe('0');
+  dubStep.jumpBy(2);
+  expect(element.text()).toBe('2');
+  dubStep.jumpBy(-1);
+  expect(element.text()).toBe('1');
+  dubStep.last();
+  expect(element.text()).toBe('4');
+
+  const cycling = mount(
+    <DubStep cycle total={5} animationSpeed={20}>
+      {({ step, goTo, jumpBy }) => (
+        <div>
+          {step}
+          <button className="go" onClick={() => goTo(-1)} />
+          <button className="jump" onClick={() => jumpBy(2)} />
+        </div>
+      )}
+    </DubStep>
+  );
+  cycling.find('button.go').simulate('click');
+  cycling.find('button.jump').simulate('click');
+  expect(cycling.state().step).toBe(0);
+  return new Promise(resolve => setTimeout(resolve, 25)).then(() => {
+    expect(cycling.text()).toBe('4');
+  });
+});
+
+test('back and forward return to the steps in the history', () => {
+  const element = mount(
+    <DubStep trackHistory maxHistoryLength={3} total={10}>
+      {({
+        step,
+        stepHistory,
+        stepHistoryIndex,
+        canGoBack,
+        canGoForward,
+        goTo,
+        back,
+        forward,
+      }) => (
+        <div>
+          {`${step} [${stepHistory}] ${stepHistoryIndex} ${canGoBack} ${canGoForward}`}
+          <button className="goTo5" onClick={() => goTo(5)} />
+          <button className="goTo2" onClick={() => goTo(2)} />
+          <button className="goTo7" onClick={() => goTo(7)} />
+          <button className="back" onClick={back} />
+          <button className="forward" onClick={forward} />
+        </div>
+      )}
+    </DubStep>
+  );
+  const click = className =>
+    element.find(`button.${className}`).simulate('click');
+  expect(element.text()).toBe('0 [0] 0 false false');
+  click('goTo5');
+  click('goTo2');
+  expect(element.text()).toBe('2 [0,5,2] 2 true false');
+  click('back');
+  expect(element.text()).toBe('5 [0,5,2] 1 true true');
+  click('forward');
+  expect(element.text()).toBe('2 [0,5,2] 2 true false');
+  click('back');
+  click('back');
+  expect(element.text()).toBe('0 [0,5,2] 0 false true');
+  click('back');
+  expect(element.text()).toBe('0 [0,5,2] 0 false true');
+  click('goTo7');
+  expect(element.text()).toBe('7 [0,7] 1 true false');
+  click('goTo5');
+  click('goTo2');
+  expect(element.text()).toBe('2 [7,5,2] 2 true false');
+});
+
+test('Steps that are turned down are left out of the history', () => {
+  const element = mount(
+    <DubStep
+      trackHistory
+      total={4}
+      stateReducer={(state, changes) =>
+        changes.step === 1 ? { ...changes, step: state.step } : changes
+      }
+    >
+      {({ Next, step, stepHistory, canGoBack }) => (
+        <div>
+          {`${step} [${stepHistory}] ${canGoBack}`}
+          <Next />
+        </div>
+      )}
+    </DubStep>
+  );
+  element.find('button').simulate('click');
+  expect(element.text()).toBe('0 [0] false');
+});
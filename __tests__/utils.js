@@ -1,4 +1,17 @@
-import { callAll, unwrapArray, getSign } from '../src/utils';
+import {
+  callAll,
+  setRef,
+  unwrapArray,
+  getSign,
+  getDefaultKeyMap,
+  generateId,
+  getVelocity,
+  rubberBand,
+  supportsPointerEvents,
+  closestWithin,
+  getWheelDelta,
+  prefersReducedMotion,
+} from '../src/utils';
 
 test('getSign returns the sign of a number.', () => {
   expect(getSign(-135)).toBe(-1);
@@ -18,3 +31,85 @@ test('callAll calls all functions', () => {
   expect(doThing).toBeCalled();
   expect(doAnotherThing).toBeCalled();
 });
+
+test('setRef sets callback and object refs', () => {
+  const callbackRef = jest.fn();
+  const objectRef = {};
+  setRef(callbackRef, 'node');
+  setRef(objectRef, 'node');
+  setRef(undefined, 'node');
+  expect(callbackRef).toHaveBeenCalledWith('node');
+  expect(objectRef.current).toBe('node');
+});
+
+test('getDefaultKeyMap maps arrows along the axis', () => {
+  expect(getDefaultKeyMap(false).ArrowRight).toBe('next');
+  expect(getDefaultKeyMap(false).ArrowDown).toBeUndefined();
+  expect(getDefaultKeyMap(true).ArrowDown).toBe('next');
+  expect(getDefaultKeyMap(true).Home).toBe('first');
+});
+
+test('generateId returns a new id on every call', () => {
+  expect(generateId()).not.toBe(generateId());
+});
+
+test('getDefaultKeyMap flips the horizontal arrows when rtl', () => {
+  expect(getDefaultKeyMap(false, true).ArrowLeft).toBe('next');
+  expect(getDefaultKeyMap(true, true).ArrowDown).toBe('next');
+});
+
+test('getVelocity uses the samples within the velocity window', () => {
+  const samples = [
+    { x: 0, y: 0, time: 0 },
+    { x: 100, y: 0, time: 200 },
+    { x: 150, y: 10, time: 250 },
+  ];
+  expect(getVelocity(samples, 'x', 250)).toBe(1);
+  expect(getVelocity(samples, 'y', 250)).toBe(0.2);
+  expect(getVelocity(samples, 'x', 1000)).toBe(0);
+  expect(getVelocity([], 'x', 0)).toBe(0);
+});
+
+test('rubberBand dampens distances without exceeding the dimension', () => {
+  expect(rubberBand(0, 100, 0.55)).toBe(0);
+  expect(rubberBand(100, 100, 0.55)).toBeLessThan(100);
+  expect(rubberBand(100000, 100, 0.55)).toBeLessThan(100);
+  expect(rubberBand(10, 0, 0.5)).toBe(5);
+});
+
+test('supportsPointerEvents requires PointerEvent and React 16.4', () => {
+  expect(supportsPointerEvents('16.4.0')).toBe(false);
+  window.PointerEvent = function PointerEvent() {};
+  expect(supportsPointerEvents('15.6.2')).toBe(false);
+  expect(supportsPointerEvents('16.3.2')).toBe(false);
+  expect(supportsPointerEvents('16.4.0')).toBe(true);
+  expect(supportsPointerEvents('17.0.0')).toBe(true);
+  delete window.PointerEvent;
+});
+
+test('closestWithin stops at the boundary', () => {
+  const root = document.createElement('div');
+  root.innerHTML = '<form><label><input></label></form>';
+  const form = root.firstChild;
+  const input = root.querySelector('input');
+  expect(closestWithin(input, 'input', form)).toBe(input);
+  expect(closestWithin(input, 'form', form)).toBe(form);
+  expect(closestWithin(input, 'div', form)).toBeNull();
+});
+
+test('getWheelDelta returns the distance along the axis of the steps', () => {
+  expect(getWheelDelta({ deltaX: 10, deltaY: 2 }, false, false)).toBe(10);
+  expect(getWheelDelta({ deltaX: 10, deltaY: 2 }, false, true)).toBe(-10);
+  expect(getWheelDelta({ deltaX: 10, deltaY: 2 }, true, false)).toBe(0);
+  expect(getWheelDelta({ deltaY: -3, deltaMode: 1 }, true, true)).toBe(-48);
+});
+
+test('prefersReducedMotion reads the prefers-reduced-motion media query', () => {
+  expect(prefersReducedMotion()).toBe(false);
+  window.matchMedia = jest.fn(() => ({ matches: true }));
+  expect(prefersReducedMotion()).toBe(true);
+  expect(window.matchMedia).toHaveBeenCalledWith(
+    '(prefers-reduced-motion: reduce)'
+  );
+  delete window.matchMedia;
+});
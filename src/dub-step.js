@@ -1,6 +1,127 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
-import { callAll, unwrapArray, getSign } from './utils';
+import {
+  callAll,
+  setRef,
+  unwrapArray,
+  getSign,
+  getDefaultKeyMap,
+  generateId,
+  visuallyHiddenStyle,
+  getVelocity,
+  VELOCITY_WINDOW,
+  rubberBand,
+  supportsPointerEvents,
+  closestWithin,
+  getWheelDelta,
+  prefersReducedMotion,
+  REDUCED_MOTION_QUERY,
+  EDITABLE_SELECTOR,
+} from './utils';
+import {
+  defaultLabels,
+  labelsPropType,
+  resolveLabel,
+  LabelsProvider,
+} from './labels';
+
+/**
+ * The `type` of the changes passed to the `stateReducer` prop, describing what caused them.
+ * Exposed as `DubStep.stateChangeTypes`.
+ *
+ * @example
+ * // Don't let autoplay advance past step 5.
+ * function stateReducer(state, changes) {
+ *   if (changes.type === DubStep.stateChangeTypes.autoplayTick && changes.step > 5) {
+ *     return { ...changes, step: state.step };
+ *   }
+ *   return changes;
+ * }
+ *
+ * @type {object}
+ * @property {string} next - The `next` action was called or a Next component was clicked.
+ * @property {string} previous - The `previous` action was called or a Previous component was clicked.
+ * @property {string} stepControlClick - A StepIndex component was clicked.
+ * @property {string} keyDown - A navigation key was pressed inside a KeyboardRegion.
+ * @property {string} autoplayTick - The autoplay timer elapsed.
+ * @property {string} wheel - The mouse wheel or trackpad was scrolled over the step component.
+ * @property {string} play - The `play` action was called or a Play component was clicked.
+ * @property {string} pause - The `pause` action was called or a Pause component was clicked.
+ * @property {string} mouseEnter - Autoplay was paused because `pauseOnHover` is set.
+ * @property {string} mouseLeave - Autoplay was resumed because `pauseOnHover` is set.
+ * @property {string} swipeStart - A swipe/drag has begun.
+ * @property {string} swipeMove - A swipe/drag was moved.
+ * @property {string} swipeEnd - A swipe/drag has ended, possibly changing the step.
+ * @property {string} markComplete - The `markComplete` action was called.
+ * @property {string} reset - The `reset` action was called.
+ * @property {string} goTo - The `goTo` action was called.
+ * @property {string} first - The `first` action was called.
+ * @property {string} last - The `last` action was called.
+ * @property {string} jumpBy - The `jumpBy` action was called.
+ * @property {string} back - The `back` action was called.
+ * @property {string} forward - The `forward` action was called.
+ */
+const stateChangeTypes = {
+  next: '__dubstep_next__',
+  previous: '__dubstep_previous__',
+  stepControlClick: '__dubstep_step_control_click__',
+  keyDown: '__dubstep_key_down__',
+  autoplayTick: '__dubstep_autoplay_tick__',
+  wheel: '__dubstep_wheel__',
+  play: '__dubstep_play__',
+  pause: '__dubstep_pause__',
+  mouseEnter: '__dubstep_mouse_enter__',
+  mouseLeave: '__dubstep_mouse_leave__',
+  swipeStart: '__dubstep_swipe_start__',
+  swipeMove: '__dubstep_swipe_move__',
+  swipeEnd: '__dubstep_swipe_end__',
+  markComplete: '__dubstep_mark_complete__',
+  reset: '__dubstep_reset__',
+  goTo: '__dubstep_go_to__',
+  first: '__dubstep_first__',
+  last: '__dubstep_last__',
+  jumpBy: '__dubstep_jump_by__',
+  back: '__dubstep_back__',
+  forward: '__dubstep_forward__',
+};
+
+/**
+ * The step changes that stop at the furthest step they can reach in linear
+ * mode. Others are ignored when their step can't be reached.
+ * @private
+ */
+const clampedChangeTypes = [
+  stateChangeTypes.goTo,
+  stateChangeTypes.jumpBy,
+  stateChangeTypes.swipeEnd,
+];
+
+/**
+ * The pieces of state exposed through getStateAndHelpers, reported to onStateChange
+ * and controllable through props of the same name.
+ * @private
+ */
+const exposedStateKeys = [
+  'step',
+  'paused',
+  'animating',
+  'swiping',
+  'dragging',
+  'swipeLeftDistance',
+  'swipeDownDistance',
+  'swiped',
+  'swipeRatio',
+  'swipeDirectionSign',
+  'swipeVelocity',
+  'overscroll',
+  'swipeAxis',
+  'pending',
+  'visitedSteps',
+  'completedSteps',
+  'maxReachedStep',
+  'stepHistory',
+  'stepHistoryIndex',
+];
 
 /**
  * # DubStep
@@ -16,33 +137,86 @@ import { callAll, unwrapArray, getSign } from './utils';
  * dub-step simply manages the state needed to power a carousel, slideshow, photo gallery, or even multi-step forms, allowing you to build the UI how you want. It uses the <a href="https://medium.com/merrickchristensen/function-as-child-components-5f3920a9ace9">function as child</a> and "prop getter" patterns, which gives you maximum flexibility with a minimal API.
  *
  * dub-step provides an API for updating the state of an index or "step".
- * - Directly when an "action" like `next` is called.
+ * - Directly when an "action" like `next` or `goTo` is called. The actions are also available on the instance, so code outside of React
+ *   can call them through a ref (e.g. `dubStepRef.goTo(3)`).
  * - Incrementally when the provided Next/Previous components are clicked.
  * - On swipe when a Step component is swiped.
+ * - On key down when a KeyboardRegion component has focus.
  * - On a timer when the provided Play/Pause components are clicked.
  *
+ * Optionally, step changes are announced to screen reader users through a LiveRegion component.
+ *
  */
 class DubStep extends Component {
   /**
    * These props affect how/when the step and associated state is updated.
    *
    * @type {object}
+   * @property {string} id - Used as the base of the ids generated for the container, slides and tabs. Defaults to a generated id.
    * @property {number} total - The total number of steps. Defaults to `0`.
    * @property {number} defaultStep - The initial step of dub-step. Defaults to `0`.
    * @property {boolean} cycle - Whether or not dub-step should cycle. Defaults to `false`.
+   * @property {boolean} linear - Should steps past the furthest one reached (`maxReachedStep`) only be reached by going to the next step? StepIndex components for them
+   *  are disabled, and swipes, `goTo` and `jumpBy` going further stop at the next step. Other changes to them (e.g. `last`) are ignored. Defaults to `false`.
+   * @property {boolean} trackHistory - Should the steps changed to be recorded, so the `back` and `forward` actions can return to them? Defaults to `false`.
+   * @property {number} maxHistoryLength - How many steps the history keeps. The oldest ones are dropped first. Defaults to `100`.
    * @property {number} stepInterval - The number of steps to interate when navigating. Defaults to `1`.
+   * @property {function} isStepDisabled - Called with a step to ask whether it is disabled. Disabled steps are skipped when navigating and their StepIndex components are
+   *  disabled. Defaults to `() => false`.
+   * @property {array} disabledSteps - The steps that are disabled, in addition to those of `isStepDisabled`. Defaults to `[]`.
    * @property {boolean} autoPlay - Should dub-step autoPlay? Defaults to `false`.
-   * @property {number} duration - How long should each step wait? Defaults to `0`.
+   * @property {number|array|function} duration - How long (in ms) should each step wait? Either one number for every step, an array of numbers indexed by step (the
+   *  last one is used for the steps past its end) or a function `(step) => ms`. A step with a duration of `0` is not advanced from. Defaults to `0`.
+   * @property {boolean} trackProgress - Should dub-step re-render on every animation frame while autoplaying, so `progress` and `remainingMs` can be rendered as they
+   *  change? Defaults to `false`.
    * @property {boolean} vertical - Are the steps changing vertically? Defaults to `false`.
+   * @property {boolean} rtl - Is the content laid out right to left? Flips ArrowLeft/ArrowRight and is passed to label functions. Defaults to `false`.
    * @property {boolean} swipe - Are the steps swipable? Defaults to `false`.
    * @property {boolean} draggable - Are the steps draggable on desktop? Defaults to `false`.
+   * @property {function} shouldStartSwipe - Called with the event that would start a swipe/drag. Return `false` to leave the gesture alone. Defaults to `() => true`.
+   * @property {string} noSwipeSelector - Swipes/drags starting on (or inside) an element matching this selector are ignored, so form controls inside the step component
+   *  keep working. `null` disables it. Defaults to inputs, textareas, selects, editable content and `[data-dubstep-noswipe]`.
+   * @property {boolean} wheel - Should scrolling the mouse wheel or trackpad over the step component change steps? Defaults to `false`.
+   * @property {number} wheelThreshold - How far (in px) a wheel/trackpad gesture has to scroll along the axis of the steps to change steps. Defaults to `50`.
+   * @property {number} wheelDebounce - How long (in ms) the wheel has to be still before a new gesture can change steps again, so the inertial tail of a trackpad
+   *  swipe doesn't move any further. Defaults to `150`.
    * @property {boolean} pauseOnHover - Should dub-step pause on hover? Defaults to `false`.
+   * @property {boolean} pauseWhenHidden - Should autoplay be suspended while the page is hidden (e.g. in a background tab)? Defaults to `false`.
+   * @property {boolean} pauseWhenOffscreen - Should autoplay be suspended while the element given `getRootProps` is scrolled out of view? Requires IntersectionObserver.
+   *  Neither changes the `paused` state. Defaults to `false`.
    * @property {number} touchThreshold - How much it takes to change steps. Defaults to `20`.
+   * @property {boolean} multiStepSwipe - Should a swipe move by as many steps as the swiped element's widths (heights when `vertical`) it was dragged across, including
+   *  the distance its release velocity would carry it? Defaults to `false`.
+   * @property {number} swipeDeceleration - The deceleration (in px/ms²) used to project how far a released swipe would travel when `multiStepSwipe` is set. Defaults to `0.005`.
+   * @property {boolean|number|function} edgeResistance - Dampens the swipe distances when dragging past the first or last step without `cycle`. `true` uses a rubber band curve,
+   *  a number sets that curve's coefficient (`0.55` when `true`) and a function `(overscroll, targetSize) => distance` replaces it. Defaults to `false`.
+   * @property {number} axisLockTolerance - How far (in px) a swipe has to move before deciding whether it is along the axis of the steps. Swipes across it are left to
+   *  the browser, so the page can still be scrolled. Defaults to `10`.
+   * @property {number} dragClickThreshold - How far (in px) a swipe/drag has to move for the click that follows it to be swallowed, so links and buttons inside
+   *  the step component aren't activated by dragging them. Defaults to `5`.
+   * @property {number} flickVelocity - The release velocity (in px/ms) at which a swipe changes steps regardless of its distance. `0` disables flicking. Defaults to `0.5`.
    * @property {number} swipeIterateOnly - Regardless of swipe direction, the step is iterated. Defaults to `false`.
    * @property {number} animationSpeed - The transition animation speed. Defaults to `0`.
+   * @property {string} reducedMotion - When should motion be reduced? `'auto'` follows the user's `prefers-reduced-motion` setting, `'always'` and `'never'` override it.
+   *  Reduced motion keeps `autoPlay` from playing on mount and treats `animationSpeed` as `0`. Defaults to `'auto'`.
+   * @property {object} keyMap - Maps `KeyboardEvent.key` values to one of the actions `next`, `previous`, `first` or `last`. Replaces the default map, which handles
+   *  ArrowLeft/ArrowRight (ArrowUp/ArrowDown when `vertical`, flipped when `rtl`), Home/End and PageUp/PageDown. Keys pressed with Alt, Ctrl or Meta, or inside form controls and editable content, are ignored. Defaults to `null`.
+   * @property {boolean} announce - Should step changes be announced through the LiveRegion component? Defaults to `false`.
+   * @property {function} formatAnnouncement - Called with `{ step, total, rtl }` to get the message announced after the step has changed. Takes precedence over `labels.announcement`. Defaults to `null`.
+   * @property {object} labels - The labels of the built-in controls and step descriptions, merged over those of a LabelsProvider. Each is either a string or a function of `{ step, total, rtl }`
+   *  where `step` is the step the control or slide refers to. The keys are `next`, `previous`, `play`, `pause`, `change`, `tabList`, `slide` and `announcement`. Defaults to `null`.
+   * @property {function} stateReducer - Called with the current state and the proposed changes (tagged with a `type` from `DubStep.stateChangeTypes`) whenever dub-step
+   *  changes its state internally. Returns the changes that are actually applied. Defaults to `(state, changes) => changes`.
+   * @property {function} onStateChange - Called once per internal state change with an object holding only the exposed state that changed (requested changes to controlled
+   *  state included) and the `type` of the change, followed by the state and helpers. Defaults to `() => {}`.
+   * @property {function} canChange - Called with the current step, the step about to be changed to and the state and helpers before every step change. Return `false`,
+   *  or a Promise resolving to `false`, to block the change. A Promise keeps `pending` set until it settles and is ignored once another step change starts. Defaults to `() => true`.
+   * @property {function} onChangeRejected - Called with the current step, the step that was blocked and the state and helpers when `canChange` blocks a step change
+   *  (a rejected Promise included). Defaults to `() => {}`.
    * @property {function} onBeforeChange - Called immediately before the step is changed. Defaults to `() => {}`.
-   * @property {function} onChange - Called once the step has changed. Defaults to `() => {}`.
-   * @property {function} onAfterChange - Called after the step has changed and after animationSpeed seconds if present. Defaults to `() => {}`.
+   * @property {function} onChange - Called once the step has changed. Not called when `stateReducer` turns the change down. Defaults to `() => {}`.
+   * @property {function} onAfterChange - Called after the step has changed and after animationSpeed seconds if present. Not called when `stateReducer` turns the change down.
+   *  Defaults to `() => {}`.
    * @property {function} onPlay - Called when played. Defaults to `() => {}`.
    * @property {function} onPause - Called when paused. Defaults to `() => {}`.
    * @property {function} onNext - Called when iterating to the next step. Defaults to `() => {}`.
@@ -50,22 +224,67 @@ class DubStep extends Component {
    * @property {function} onSwipeStart - Called when swiping/dragging has begun. Defaults to `() => {}`.
    * @property {function} onSwipeMove - Called when a swipe/drag is moved. Warning: This gets called _a lot_. Defaults to `() => {}`.
    * @property {function} onSwipeEnd - Called when a swipe/drag is cancelled. Defaults to `() => {}`.
+   * @property {function} onEdgeReached - Called with `'start'` or `'end'` when a swipe/drag first moves past the first or last step without `cycle`. Defaults to `() => {}`.
    * @property {function|array} children - Called with an object containing current state and prop getters.
+   *
+   * Every piece of state exposed through getStateAndHelpers (`step`, `paused`, `animating`, `swiping`, `dragging`, `swipeLeftDistance`, `swipeDownDistance`, `swiped`, `swipeRatio`,
+   * `swipeDirectionSign`, `swipeVelocity`, `overscroll`, `swipeAxis`, `pending`, `visitedSteps`, `completedSteps`, `maxReachedStep`, `stepHistory` and `stepHistoryIndex`) can also be passed as a prop of the same name, which makes it controlled. dub-step then reads that state from your prop and, instead of
+   * updating it, requests changes to it through `onStateChange` (and `onChange`, `onPlay` and `onPause` for `step` and `paused`).
    */
   static propTypes = {
+    id: PropTypes.string,
     total: PropTypes.number,
     defaultStep: PropTypes.number,
     cycle: PropTypes.bool,
+    linear: PropTypes.bool,
+    trackHistory: PropTypes.bool,
+    maxHistoryLength: PropTypes.number,
     stepInterval: PropTypes.number,
+    isStepDisabled: PropTypes.func,
+    disabledSteps: PropTypes.arrayOf(PropTypes.number),
     autoPlay: PropTypes.bool,
-    duration: PropTypes.number,
+    duration: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.arrayOf(PropTypes.number),
+      PropTypes.func,
+    ]),
+    trackProgress: PropTypes.bool,
     vertical: PropTypes.bool,
+    rtl: PropTypes.bool,
     swipe: PropTypes.bool,
     draggable: PropTypes.bool,
+    shouldStartSwipe: PropTypes.func,
+    noSwipeSelector: PropTypes.string,
+    wheel: PropTypes.bool,
+    wheelThreshold: PropTypes.number,
+    wheelDebounce: PropTypes.number,
     pauseOnHover: PropTypes.bool,
+    pauseWhenHidden: PropTypes.bool,
+    pauseWhenOffscreen: PropTypes.bool,
     touchThreshold: PropTypes.number,
+    multiStepSwipe: PropTypes.bool,
+    swipeDeceleration: PropTypes.number,
+    edgeResistance: PropTypes.oneOfType([
+      PropTypes.bool,
+      PropTypes.number,
+      PropTypes.func,
+    ]),
+    axisLockTolerance: PropTypes.number,
+    dragClickThreshold: PropTypes.number,
+    flickVelocity: PropTypes.number,
     swipeIterateOnly: PropTypes.bool,
     animationSpeed: PropTypes.number,
+    reducedMotion: PropTypes.oneOf(['auto', 'always', 'never']),
+    keyMap: PropTypes.objectOf(
+      PropTypes.oneOf(['next', 'previous', 'first', 'last'])
+    ),
+    announce: PropTypes.bool,
+    formatAnnouncement: PropTypes.func,
+    labels: labelsPropType,
+    stateReducer: PropTypes.func,
+    onStateChange: PropTypes.func,
+    canChange: PropTypes.func,
+    onChangeRejected: PropTypes.func,
     onBeforeChange: PropTypes.func,
     onChange: PropTypes.func,
     onAfterChange: PropTypes.func,
@@ -76,23 +295,80 @@ class DubStep extends Component {
     onSwipeStart: PropTypes.func,
     onSwipeMove: PropTypes.func,
     onSwipeEnd: PropTypes.func,
+    onEdgeReached: PropTypes.func,
     children: PropTypes.oneOfType([PropTypes.func, PropTypes.array]).isRequired,
+    // Controlled state. These must default to undefined to be uncontrolled.
+    /* eslint-disable react/require-default-props */
+    step: PropTypes.number,
+    paused: PropTypes.bool,
+    animating: PropTypes.bool,
+    swiping: PropTypes.bool,
+    dragging: PropTypes.bool,
+    swipeLeftDistance: PropTypes.number,
+    swipeDownDistance: PropTypes.number,
+    swiped: PropTypes.bool,
+    swipeRatio: PropTypes.number,
+    swipeDirectionSign: PropTypes.oneOf([1, -1]),
+    swipeVelocity: PropTypes.number,
+    overscroll: PropTypes.number,
+    swipeAxis: PropTypes.oneOf(['x', 'y']),
+    pending: PropTypes.bool,
+    visitedSteps: PropTypes.arrayOf(PropTypes.number),
+    completedSteps: PropTypes.arrayOf(PropTypes.number),
+    maxReachedStep: PropTypes.number,
+    stepHistory: PropTypes.arrayOf(PropTypes.number),
+    stepHistoryIndex: PropTypes.number,
+    /* eslint-enable react/require-default-props */
+  };
+
+  static contextTypes = {
+    dubStepLabels: labelsPropType,
   };
 
   static defaultProps = {
+    id: null,
     total: 0,
     defaultStep: 0,
     stepInterval: 1,
+    isStepDisabled: () => false,
+    disabledSteps: [],
     cycle: false,
+    linear: false,
+    trackHistory: false,
+    maxHistoryLength: 100,
     swipe: false,
     draggable: false,
+    shouldStartSwipe: () => true,
+    noSwipeSelector: `${EDITABLE_SELECTOR}, [data-dubstep-noswipe]`,
+    wheel: false,
+    wheelThreshold: 50,
+    wheelDebounce: 150,
     duration: 0,
+    trackProgress: false,
     autoPlay: false,
     touchThreshold: 20,
+    multiStepSwipe: false,
+    swipeDeceleration: 0.005,
+    edgeResistance: false,
+    axisLockTolerance: 10,
+    dragClickThreshold: 5,
+    flickVelocity: 0.5,
     vertical: false,
+    rtl: false,
     pauseOnHover: false,
+    pauseWhenHidden: false,
+    pauseWhenOffscreen: false,
     swipeIterateOnly: false,
     animationSpeed: 0,
+    reducedMotion: 'auto',
+    keyMap: null,
+    announce: false,
+    formatAnnouncement: null,
+    labels: null,
+    stateReducer: (state, changes) => changes,
+    onStateChange: () => {},
+    canChange: () => true,
+    onChangeRejected: () => {},
     onBeforeChange: () => {},
     onChange: () => {},
     onAfterChange: () => {},
@@ -103,6 +379,7 @@ class DubStep extends Component {
     onSwipeStart: () => {},
     onSwipeMove: () => {},
     onSwipeEnd: () => {},
+    onEdgeReached: () => {},
   };
 
   constructor(props) {
@@ -113,6 +390,8 @@ class DubStep extends Component {
     if (this.props.autoPlay && !this.props.duration) {
       throw new Error('Cannot use the autoPlay prop without a duration prop.');
     }
+    this.id = this.props.id || `dub-step-${generateId()}`;
+    this.composedRefs = {};
   }
 
   /**
@@ -120,20 +399,32 @@ class DubStep extends Component {
    * @private
    * @property {number} step - state - The current step of dub-step. Controlled.
    * @property {boolean} paused - state - Is dub-step paused? Controlled.
-   * @property {boolean} animating - state - Is the step component transition animating?
-   * @property {boolean} swiping - state - Has the swipe threshold been reached?
-   * @property {boolean} dragging - state - Has the step component been initially dragged?
-   * @property {number} swipeLeftDistance - state - A number representing the distance the step component has been dragged horizontally.
-   * @property {number} swipeDownDistance - state - A number representing the distance the step component has been dragged vertically.
-   * @property {boolean} swiped - state - Has the step component been dragged enough to be moved to the next/previous step?
-   * @property {number} swipeRatio - state - A number between 0 and 1 with nearness to 1 representing closeness to being swiped.
-   * @property {number} swipeDirectionSign - state - Either 1 or -1. 1 representing right and -1 representing left.
+   * @property {boolean} animating - state - Is the step component transition animating? Controlled.
+   * @property {boolean} swiping - state - Has the swipe threshold been reached? Controlled.
+   * @property {boolean} dragging - state - Has the step component been initially dragged? Controlled.
+   * @property {number} swipeLeftDistance - state - A number representing the distance the step component has been dragged horizontally. Controlled.
+   * @property {number} swipeDownDistance - state - A number representing the distance the step component has been dragged vertically. Controlled.
+   * @property {boolean} swiped - state - Has the step component been dragged enough to be moved to the next/previous step? Controlled.
+   * @property {number} swipeRatio - state - A number between 0 and 1 with nearness to 1 representing closeness to being swiped. Controlled.
+   * @property {number} swipeDirectionSign - state - Either 1 or -1. 1 representing right and -1 representing left. Controlled.
+   * @property {number} swipeVelocity - state - The velocity (in px/ms) along the axis of the steps while swiping, and the release velocity once the swipe has ended. Controlled.
+   * @property {number} overscroll - state - The distance the step component has been dragged past the first or last step without `cycle`, before any edge resistance. Controlled.
+   * @property {string} swipeAxis - state - The axis (`'x'` or `'y'`) a swipe was locked to once it moved `axisLockTolerance`, or `null`. Swipes across the steps end dragging. Controlled.
+   * @property {boolean} pending - state - Is a step change waiting for the Promise returned by `canChange`? Controlled.
+   * @property {array} visitedSteps - state - The steps that have been visited, in the order they were first visited. Controlled.
+   * @property {array} completedSteps - state - The steps marked complete through `markComplete`. Controlled.
+   * @property {number} maxReachedStep - state - The furthest step that has been visited. Controlled.
+   * @property {array} stepHistory - state - The steps changed to with `trackHistory`, oldest first. Controlled.
+   * @property {number} stepHistoryIndex - state - The index of the current step in `stepHistory`, moved by `back` and `forward`. Controlled.
    * @property {object} touchObject - Holds meta data used to calculate the swipe state. Not exposed through getStateAndHelpers.
+   * @property {string} announcement - The message rendered inside the live region. Not exposed through getStateAndHelpers.
+   * @property {boolean} prefersReducedMotion - Does the user prefer reduced motion? Exposed through getStateAndHelpers as `reducedMotion`, which takes the `reducedMotion` prop into account.
    */
   state = {
     step: this.getControlledProp('step', { step: this.props.defaultStep }),
     paused: this.getControlledProp('paused', {
-      paused: !this.props.autoPlay,
+      paused:
+        !this.props.autoPlay || this.isReducedMotion(prefersReducedMotion()),
     }),
     animating: false,
     swiping: false,
@@ -143,124 +434,367 @@ class DubStep extends Component {
     swiped: false,
     swipeRatio: 0,
     swipeDirectionSign: 1,
+    swipeVelocity: 0,
+    overscroll: 0,
+    swipeAxis: null,
+    pending: false,
+    visitedSteps: [
+      this.getControlledProp('step', { step: this.props.defaultStep }),
+    ],
+    completedSteps: [],
+    maxReachedStep: this.getControlledProp('step', {
+      step: this.props.defaultStep,
+    }),
+    stepHistory: [
+      this.getControlledProp('step', { step: this.props.defaultStep }),
+    ],
+    stepHistoryIndex: 0,
     touchObject: {
       startX: 0,
       startY: 0,
       curX: 0,
       curY: 0,
       swipeLength: 0,
+      samples: [],
     },
+    announcement: '',
+    prefersReducedMotion: prefersReducedMotion(),
   };
 
   componentDidMount() {
-    if (this.props.duration && !this.getControlledProp('paused')) {
-      this.interval = this.startPlaying();
+    if (
+      this.props.reducedMotion === 'auto' &&
+      typeof window.matchMedia === 'function'
+    ) {
+      this.reducedMotionQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+      this.reducedMotionQuery.addListener(this.reducedMotionChange);
+    }
+    if (this.props.pauseWhenHidden) {
+      document.addEventListener('visibilitychange', this.visibilityChange);
+      this.hidden = document.hidden;
+    }
+    if (this.isAutoPlaying()) {
+      this.timer = this.startPlaying();
     }
   }
   componentDidUpdate(prevProps, prevState) {
+    if (process.env.NODE_ENV !== 'production') {
+      this.warnOnControlChange(prevProps);
+    }
+    const prevStep = this.isPropControlled('step')
+      ? prevProps.step
+      : prevState.step;
+    if (this.stepChangeType && prevStep !== this.getControlledProp('step')) {
+      this.recordStep(this.stepChangeType);
+      delete this.stepChangeType;
+    }
     if (
       this.getControlledProp('paused') ||
       (this.props.duration &&
         !this.props.cycle &&
-        this.getControlledProp('step') === this.props.total - 1)
+        this.getNextStep() === this.getControlledProp('step'))
+    ) {
+      this.timer = this.stopPlaying();
+    } else if (this.isAutoPlaying() && (prevProps.paused || prevState.paused)) {
+      this.timer = this.startPlaying();
+    } else if (
+      this.isAutoPlaying() &&
+      prevStep !== this.getControlledProp('step')
     ) {
-      this.interval = this.stopPlaying();
-    } else if (this.props.duration && (prevProps.paused || prevState.paused)) {
-      this.interval = this.startPlaying();
+      // Wait for the duration of the new step, even if the last one had none.
+      this.stopPlaying();
+      this.timer = this.startPlaying();
+    }
+    if (prevProps.pauseWhenHidden !== this.props.pauseWhenHidden) {
+      if (this.props.pauseWhenHidden) {
+        document.addEventListener('visibilitychange', this.visibilityChange);
+      } else {
+        document.removeEventListener('visibilitychange', this.visibilityChange);
+      }
+      this.suspendAutoPlay(
+        'hidden',
+        this.props.pauseWhenHidden && document.hidden
+      );
+    }
+    if (prevProps.pauseWhenOffscreen !== this.props.pauseWhenOffscreen) {
+      this.observeRoot();
+      if (!this.props.pauseWhenOffscreen) {
+        this.suspendAutoPlay('offscreen', false);
+      }
     }
   }
   componentWillUnmount() {
-    if (this.interval) {
+    if (this.timer) {
       this.stopPlaying();
     }
+    clearTimeout(this.wheelTimeout);
+    // Ignore the outcome of a pending canChange.
+    this.changeId = undefined;
+    document.removeEventListener('visibilitychange', this.visibilityChange);
+    if (this.reducedMotionQuery) {
+      this.reducedMotionQuery.removeListener(this.reducedMotionChange);
+    }
+    if (this.progressFrame) {
+      cancelAnimationFrame(this.progressFrame);
+    }
   }
 
   getControlledProp(prop, state = this.state) {
     return this.isPropControlled(prop) ? this.props[prop] : state[prop];
   }
 
-  getStepProps = (props = {}) => ({
+  getState(state = this.state) {
+    return exposedStateKeys.reduce(
+      (acc, key) => ({ ...acc, [key]: this.getControlledProp(key, state) }),
+      state
+    );
+  }
+
+  getStepProps = ({ refKey = 'ref', ...props } = {}) => ({
     ...props,
-    onMouseDown: callAll(props.onMouseDown, this.swipeStart),
-    onMouseMove: callAll(
-      props.onMouseMove,
-      this.state.dragging ? this.swipeMove : () => {}
-    ),
-    onMouseUp: callAll(props.onMouseUp, this.swipeEnd),
-    onMouseLeave: callAll(
-      props.onMouseLeave,
-      this.state.dragging ? this.swipeEnd : this.mouseLeave
-    ),
-    onTouchStart: callAll(props.onTouchStart, this.swipeStart),
-    onTouchMove: callAll(
-      props.onTouchMove,
-      this.state.dragging ? this.swipeMove : () => {}
-    ),
-    onTouchEnd: callAll(props.onTouchEnd, this.swipeEnd),
-    onTouchCancel: callAll(
-      props.onTouchCancel,
-      this.state.dragging ? this.swipeEnd : () => {}
-    ),
+    ...(supportsPointerEvents(React.version)
+      ? this.getPointerHandlers(props)
+      : this.getTouchAndMouseHandlers(props)),
     onMouseEnter: callAll(props.onMouseEnter, this.mouseEnter),
     onMouseOver: callAll(props.onMouseOver, this.mouseOver),
+    ...(this.props.wheel
+      ? { [refKey]: this.getComposedRef('stepWheelRef', props[refKey]) }
+      : {}),
+    onClickCapture: callAll(props.onClickCapture, this.clickCapture),
+    onDragStart: callAll(props.onDragStart, this.dragStart),
+    style: this.getStepStyle(props.style),
+  });
+  getKeyboardProps = (props = {}) => ({
+    tabIndex: 0,
+    ...props,
+    onKeyDown: callAll(props.onKeyDown, this.keyDown),
+  });
+  getWheelProps = ({ refKey = 'ref', ...rest } = {}) => ({
+    ...rest,
+    [refKey]: this.getComposedRef('wheelRef', rest[refKey]),
   });
   getPreviousControlProps = (props = {}) => ({
-    'aria-label': 'previous',
+    'aria-label': this.getLabel('previous', this.getPreviousStep()),
     ...props,
     onClick: callAll(props.onClick, this.previous),
   });
   getNextControlProps = (props = {}) => ({
-    'aria-label': 'next',
+    'aria-label': this.getLabel('next', this.getNextStep()),
     ...props,
     onClick: callAll(props.onClick, this.next),
   });
   getPauseControlProps = (props = {}) => ({
-    'aria-label': 'pause',
+    'aria-label': this.getLabel('pause'),
     ...props,
     onClick: callAll(props.onClick, this.pause),
   });
   getPlayControlProps = (props = {}) => ({
-    'aria-label': 'play',
+    'aria-label': this.getLabel('play'),
     ...props,
     onClick: callAll(props.onClick, this.play),
   });
   getStepControlProps = ({ step, ...rest } = { step: 0 }) => ({
-    'aria-label': 'change',
+    ...(rest.role === 'tab'
+      ? this.getTabAttributes(step)
+      : { 'aria-label': this.getLabel('change', step) }),
+    ...(this.isDisabled(step) || !this.isReachable(step)
+      ? { disabled: true, 'aria-disabled': true }
+      : {}),
+    ...rest,
+    onClick: callAll(rest.onClick, () =>
+      this.changeSlide(step, stateChangeTypes.stepControlClick)
+    ),
+  });
+  getRootProps = ({ refKey = 'ref', ...rest } = {}) => ({
     ...rest,
-    onClick: callAll(rest.onClick, () => this.changeSlide(step)),
+    [refKey]: this.getComposedRef('rootRef', rest[refKey]),
+  });
+  getContainerProps = (props = {}) => ({
+    id: this.id,
+    role: 'region',
+    'aria-roledescription': 'carousel',
+    ...props,
+  });
+  getSlideProps = ({ step, ...rest } = { step: 0 }) => ({
+    id: this.getSlideId(step),
+    role: 'group',
+    'aria-roledescription': 'slide',
+    'aria-label': this.getLabel('slide', step),
+    'aria-hidden': step !== this.getControlledProp('step'),
+    ...rest,
+  });
+  getTabListProps = (props = {}) => ({
+    role: 'tablist',
+    'aria-label': this.getLabel('tabList'),
+    ...props,
+    onKeyDown: callAll(props.onKeyDown, this.tabListKeyDown),
   });
+  getLiveRegionProps = (props = {}) => ({
+    // Announcing every step would interrupt the user while autoplaying.
+    'aria-live': this.isAutoPlaying() ? 'off' : 'polite',
+    'aria-atomic': true,
+    children: this.state.announcement,
+    ...props,
+  });
+
+  getSlideId(step) {
+    return `${this.id}-slide-${step}`;
+  }
+
+  getTabId(step) {
+    return `${this.id}-tab-${step}`;
+  }
+
+  getLabel(name, step = this.getControlledProp('step')) {
+    const labels = {
+      ...defaultLabels,
+      ...this.context.dubStepLabels,
+      ...this.props.labels,
+    };
+    return resolveLabel(labels[name], {
+      step,
+      total: this.props.total,
+      rtl: this.props.rtl,
+    });
+  }
+
+  /**
+   * Combines a ref passed by the user (a callback or an object) with one of
+   * dub-step's own. The combined callback is kept between renders, so React
+   * doesn't detach and re-attach the node every time.
+   * @private
+   *
+   * @param {string} name The name of dub-step's own ref callback
+   * @param {function|object} ref The ref passed by the user
+   * @return {function} The ref callback to pass on
+   */
+  getComposedRef(name, ref) {
+    if (!ref) {
+      return this[name];
+    }
+    const cached = this.composedRefs[name];
+    if (!cached || cached.ref !== ref) {
+      this.composedRefs[name] = {
+        ref,
+        composed: node => {
+          setRef(ref, node);
+          this[name](node);
+        },
+      };
+    }
+    return this.composedRefs[name].composed;
+  }
+
+  getTabAttributes(step) {
+    const selected = step === this.getControlledProp('step');
+    return {
+      id: this.getTabId(step),
+      'aria-label': this.getLabel('slide', step),
+      'aria-selected': selected,
+      'aria-controls': this.getSlideId(step),
+      tabIndex: selected ? 0 : -1,
+    };
+  }
+
+  getPointerHandlers(props) {
+    const dragging = this.getControlledProp('dragging');
+    return {
+      onPointerDown: callAll(props.onPointerDown, this.swipeStart),
+      onPointerMove: callAll(
+        props.onPointerMove,
+        dragging ? this.swipeMove : () => {}
+      ),
+      onPointerUp: callAll(props.onPointerUp, this.swipeEnd),
+      onPointerCancel: callAll(
+        props.onPointerCancel,
+        dragging ? this.swipeEnd : () => {}
+      ),
+      // The pointer is captured while dragging, so leaving only affects pauseOnHover.
+      onMouseLeave: callAll(props.onMouseLeave, this.mouseLeave),
+    };
+  }
+
+  getStepStyle(style) {
+    const stepStyle = {};
+    if (this.props.swipe && supportsPointerEvents(React.version)) {
+      // Let the browser keep scrolling across the axis of the steps.
+      stepStyle.touchAction = this.props.vertical ? 'pan-x' : 'pan-y';
+    }
+    if (this.getControlledProp('dragging')) {
+      // Don't select text while dragging.
+      stepStyle.userSelect = 'none';
+      stepStyle.WebkitUserSelect = 'none';
+    }
+    return Object.keys(stepStyle).length ? { ...stepStyle, ...style } : style;
+  }
+
+  getTouchAndMouseHandlers(props) {
+    const dragging = this.getControlledProp('dragging');
+    return {
+      onMouseDown: callAll(props.onMouseDown, this.swipeStart),
+      onMouseMove: callAll(
+        props.onMouseMove,
+        dragging ? this.swipeMove : () => {}
+      ),
+      onMouseUp: callAll(props.onMouseUp, this.swipeEnd),
+      onMouseLeave: callAll(
+        props.onMouseLeave,
+        dragging ? this.swipeEnd : this.mouseLeave
+      ),
+      onTouchStart: callAll(props.onTouchStart, this.swipeStart),
+      onTouchMove: callAll(
+        props.onTouchMove,
+        dragging ? this.swipeMove : () => {}
+      ),
+      onTouchEnd: callAll(props.onTouchEnd, this.swipeEnd),
+      onTouchCancel: callAll(
+        props.onTouchCancel,
+        dragging ? this.swipeEnd : () => {}
+      ),
+    };
+  }
 
   setStepState = (nextState, callback = () => {}) => {
-    this.interval = this.stopPlaying();
-    if (this.isPropControlled('step')) {
-      this.props.onChange(nextState.step, this.getStateAndHelpers());
-      callback();
-    } else {
-      this.setState(nextState, () => {
-        if (
-          !this.interval &&
-          this.props.duration &&
-          !this.getControlledProp('paused')
-        ) {
-          this.interval = this.startPlaying();
+    const previousStep = this.getControlledProp('step');
+    this.timer = this.stopPlaying();
+    this.internalSetState(nextState, ({ step = previousStep }) => {
+      // Did the stateReducer turn the step change down?
+      const rejected = step === previousStep && nextState.step !== step;
+      const stepChanged = () => {
+        if (!this.timer && this.isAutoPlaying()) {
+          this.timer = this.startPlaying();
         }
-        this.props.onChange(
-          this.getControlledProp('step'),
-          this.getStateAndHelpers()
-        );
-        callback();
-      });
-    }
+        if (!rejected) {
+          this.props.onChange(step, this.getStateAndHelpers());
+          callback(step);
+        }
+      };
+      if (this.isPropControlled('step')) {
+        if (!rejected) {
+          // Recorded once the parent passes the step down, if it does at all.
+          this.stepChangeType = nextState.type;
+        }
+        stepChanged();
+      } else {
+        this.recordStep(nextState.type, stepChanged);
+      }
+    });
   };
 
-  setPlayState = paused => {
+  setPlayState = (paused, type) => {
     if (!this.props.duration) {
       return;
     }
-    this.setState({ paused });
+    this.internalSetState({ type, paused });
   };
 
   getNextStep(step = this.getControlledProp('step')) {
+    return this.getEnabledStep(step, candidate =>
+      this.getFollowingStep(candidate)
+    );
+  }
+
+  getFollowingStep(step) {
     if (this.props.total) {
       if (this.props.cycle) {
         if (step + this.props.stepInterval > this.props.total - 1) {
@@ -273,7 +807,33 @@ class DubStep extends Component {
     return step + this.props.stepInterval;
   }
 
+  getDuration(step = this.getControlledProp('step')) {
+    const { duration } = this.props;
+    if (typeof duration === 'function') {
+      return duration(step);
+    }
+    if (Array.isArray(duration)) {
+      return duration[Math.min(step, duration.length - 1)];
+    }
+    return duration;
+  }
+
+  getElapsedTime() {
+    if (this.timerStep !== this.getControlledProp('step')) {
+      return 0;
+    }
+    return this.timer
+      ? this.elapsedTime + Date.now() - this.timerStartedAt
+      : this.elapsedTime;
+  }
+
   getPreviousStep(step = this.getControlledProp('step')) {
+    return this.getEnabledStep(step, candidate =>
+      this.getPrecedingStep(candidate)
+    );
+  }
+
+  getPrecedingStep(step) {
     if (this.props.total) {
       if (this.props.cycle) {
         if (step - this.props.stepInterval < 0) {
@@ -286,6 +846,146 @@ class DubStep extends Component {
     return step - this.props.stepInterval;
   }
 
+  getSwipeAxis({ swipeLengthX, swipeLengthY }) {
+    if (
+      Math.max(swipeLengthX, swipeLengthY) <
+      Math.max(this.props.axisLockTolerance, 1)
+    ) {
+      return null;
+    }
+    if (swipeLengthX === swipeLengthY) {
+      return this.props.vertical ? 'y' : 'x';
+    }
+    return swipeLengthX > swipeLengthY ? 'x' : 'y';
+  }
+
+  getHistoryStep(offset) {
+    if (!this.props.trackHistory) {
+      return undefined;
+    }
+    return this.getControlledProp('stepHistory')[
+      this.getControlledProp('stepHistoryIndex') + offset
+    ];
+  }
+
+  /**
+   * Get the changes to the step history a step change makes with `trackHistory`.
+   * @private
+   *
+   * @param {number} step The step changed to
+   * @param {string} type The type of the step change
+   * @return {object} The changes to `stepHistory` and `stepHistoryIndex`
+   */
+  getHistoryChanges(step, type) {
+    const stepHistory = this.getControlledProp('stepHistory');
+    const stepHistoryIndex = this.getControlledProp('stepHistoryIndex');
+    if (!this.props.trackHistory || step === stepHistory[stepHistoryIndex]) {
+      return {};
+    }
+    if (type === stateChangeTypes.back || type === stateChangeTypes.forward) {
+      return {
+        stepHistoryIndex:
+          stepHistoryIndex + (type === stateChangeTypes.back ? -1 : 1),
+      };
+    }
+    // Changing steps after going back forgets the steps gone back from.
+    const nextStepHistory = [
+      ...stepHistory.slice(0, stepHistoryIndex + 1),
+      step,
+    ].slice(-this.props.maxHistoryLength);
+    return {
+      stepHistory: nextStepHistory,
+      stepHistoryIndex: nextStepHistory.length - 1,
+    };
+  }
+
+  getFurthestReachableStep() {
+    return Math.max(
+      this.getControlledProp('maxReachedStep'),
+      this.getNextStep()
+    );
+  }
+
+  getNormalizedStep(step) {
+    const { total, cycle } = this.props;
+    if (!total) {
+      return step;
+    }
+    return cycle
+      ? ((step % total) + total) % total
+      : Math.min(Math.max(step, 0), total - 1);
+  }
+
+  getStepBy(delta, step = this.getControlledProp('step')) {
+    const target = this.getNormalizedStep(step + delta);
+    if (!this.isDisabled(target)) {
+      return target;
+    }
+    const enabledStep = this.getEnabledStep(target, candidate =>
+      delta > 0
+        ? this.getFollowingStep(candidate)
+        : this.getPrecedingStep(candidate)
+    );
+    return this.isDisabled(enabledStep) ? step : enabledStep;
+  }
+
+  /**
+   * Keeps moving from a step until it reaches one that isn't disabled.
+   * @private
+   *
+   * @param {number} step The step to move from
+   * @param {function} getCandidate Called with a step to get the one to move to
+   * @return {number} The first enabled step moved to, or `step` if there is none
+   */
+  getEnabledStep(step, getCandidate) {
+    // Without a total, give up after skipping a hundred steps.
+    const limit = this.props.total || 100;
+    let candidate = getCandidate(step);
+    for (let i = 1; i < limit && this.isDisabled(candidate); i += 1) {
+      const nextCandidate = getCandidate(candidate);
+      if (nextCandidate === candidate) {
+        // Stuck on the first/last step.
+        break;
+      }
+      candidate = nextCandidate;
+    }
+    return this.isDisabled(candidate) ? step : candidate;
+  }
+
+  getFirstStep() {
+    return this.isDisabled(0)
+      ? this.getEnabledStep(0, candidate => this.getFollowingStep(candidate))
+      : 0;
+  }
+
+  getLastStep() {
+    const last = this.props.total - 1;
+    return this.isDisabled(last)
+      ? this.getEnabledStep(last, candidate => this.getPrecedingStep(candidate))
+      : last;
+  }
+
+  /**
+   * Get the number of steps a released swipe moves by when `multiStepSwipe` is set.
+   * @private
+   *
+   * @param {number} distance The distance swiped along the axis of the steps
+   * @param {number} velocity The release velocity along the axis of the steps
+   * @return {number} The number of steps, at least 1
+   */
+  getSwipeStepCount(distance, velocity) {
+    if (!this.targetSize) {
+      return 1;
+    }
+    const projectedDistance =
+      distance +
+      (velocity * Math.abs(velocity)) / (2 * this.props.swipeDeceleration);
+    return Math.max(
+      1,
+      Math.round(Math.abs(projectedDistance) / this.targetSize)
+    );
+  }
+
   /**
    * The state of dub-step and prop getters/actions for changing the state are exposed as a parameter to the render prop.
    *
@@ -303,17 +1003,44 @@ class DubStep extends Component {
    *
    * @property {number} step - state - The current step of dub-step. Controlled.
    * @property {boolean} paused - state - Is dub-step paused? Controlled.
-   * @property {boolean} animating - state - Is the step component transition animating?
-   * @property {boolean} swiping - state - Has the swipe threshold been reached?
-   * @property {boolean} dragging - state - Has the step component been initially dragged?
-   * @property {number} swipeLeftDistance - state - A number representing the distance the step component has been dragged horizontally.
-   * @property {number} swipeDownDistance - state - A number representing the distance the step component has been dragged vertically.
-   * @property {boolean} swiped - state - Has the step component been dragged enough to be moved to the next/previous step?
-   * @property {number} swipeRatio - state - A number between 0 and 1 with nearness to 1 representing closeness to being swiped.
-   * @property {number} swipeDirectionSign - state - Either 1 or -1. 1 representing right and -1 representing left.
+   * @property {boolean} animating - state - Is the step component transition animating? Controlled.
+   * @property {boolean} swiping - state - Has the swipe threshold been reached? Controlled.
+   * @property {boolean} dragging - state - Has the step component been initially dragged? Controlled.
+   * @property {number} swipeLeftDistance - state - A number representing the distance the step component has been dragged horizontally. Controlled.
+   * @property {number} swipeDownDistance - state - A number representing the distance the step component has been dragged vertically. Controlled.
+   * @property {boolean} swiped - state - Has the step component been dragged enough to be moved to the next/previous step? Controlled.
+   * @property {number} swipeRatio - state - A number between 0 and 1 with nearness to 1 representing closeness to being swiped. Controlled.
+   * @property {number} swipeDirectionSign - state - Either 1 or -1. 1 representing right and -1 representing left. Controlled.
+   * @property {number} swipeVelocity - state - The velocity (in px/ms) along the axis of the steps while swiping, and the release velocity once the swipe has ended. Controlled.
+   * @property {number} overscroll - state - The distance the step component has been dragged past the first or last step without `cycle`, before any edge resistance. Controlled.
+   * @property {string} swipeAxis - state - The axis (`'x'` or `'y'`) a swipe was locked to once it moved `axisLockTolerance`, or `null`. Swipes across the steps end dragging. Controlled.
+   * @property {boolean} pending - state - Is a step change waiting for the Promise returned by `canChange`? Controlled.
+   * @property {array} visitedSteps - state - The steps that have been visited, in the order they were first visited. Controlled.
+   * @property {array} completedSteps - state - The steps marked complete through `markComplete`. Controlled.
+   * @property {number} maxReachedStep - state - The furthest step that has been visited. Controlled.
+   * @property {array} stepHistory - state - The steps changed to with `trackHistory`, oldest first. Controlled.
+   * @property {number} stepHistoryIndex - state - The index of the current step in `stepHistory`, moved by `back` and `forward`. Controlled.
+   * @property {boolean} atStart - state - Is dub-step on the first step without `cycle`?
+   * @property {boolean} atEnd - state - Is dub-step on the last step without `cycle`?
+   * @property {boolean} canGoNext - state - Is there a step (that isn't disabled) to go to next? `false` on the last step without `cycle`.
+   * @property {boolean} canGoPrevious - state - Is there a step (that isn't disabled) to go back to? `false` on the first step without `cycle`.
+   * @property {boolean} canGoBack - state - Is there an earlier step in `stepHistory` for `back` to return to?
+   * @property {boolean} canGoForward - state - Is there a later step in `stepHistory` for `forward` to return to?
+   * @property {number} progress - state - How much (from `0` to `1`) of the current step's autoplay duration has elapsed. Kept when paused, so playing resumes
+   *  where it left off. Only updated on every animation frame with the `trackProgress` prop.
+   * @property {number} remainingMs - state - How long (in ms) until autoplay moves on from the current step.
+   * @property {boolean} reducedMotion - state - Should motion be reduced? Skip your transitions when it is.
    * 
    * @property {ReactElement} Step - Component - This component is responsible for tracking touch/drag interactions and sets dub-steps swipe state properties respectively.
    *  Alternatively, use `getStepProps` if you prefer the prop getter patern. Returns the props you should apply to an element you render that is expected to have swipe/drag interactions.
+   *  Pointer Events (with pointer capture) are used where both the browser and React (16.4+) support them, falling back to touch and mouse events otherwise.
+   *  With the `wheel` prop set, it also changes steps when scrolled, which needs the ref of the element (pass `refKey` if your component takes it through another prop).
+   * @property {function} getRootProps - Prop getter - Returns the props you should apply to the outermost element you render, so `pauseWhenOffscreen` can tell
+   *  whether it is in view. Pass `refKey` (e.g. `'innerRef'`) if your component takes its ref through another prop than `ref`.
+   * @property {function} getWheelProps - Prop getter - Returns the props you should apply to an element you render that changes the step when the mouse wheel
+   *  or trackpad is scrolled over it. Not needed for the Step component when the `wheel` prop is set. The element is registered through its ref, so that the wheel
+   *  listener can prevent scrolling (React's own wheel listeners are passive in some browsers). Pass `refKey` if your component takes its ref through another prop than `ref`.
+   *  Apply it to a single element; the Step component keeps its own listener.
    * @property {ReactElement} Next - Component - This component is responsible for incrementing the step by the stepInterval value.
    *  Alternatively, use `getNextControlProps` if you prefer the prop getter pattern. It returns the props you should apply to a next button element you render.
    * @property {ReactElement} Previous - Component - This component is responsible for decrementing the step by the stepInterval value.
@@ -322,13 +1049,33 @@ class DubStep extends Component {
    *  Alternatively, use `getPlayControlProps` if you prefer the prop getter patern. It returns the props you should apply to a play button element you render.
    * @property {ReactElement} Pause - Component - This component is responsible for clearing an internal interval that increments the step by the stepInterval value.
    *  Alternatively, use `getPauseControlProps` if you prefer the prop getter patern. It returns the props you should apply to a pause button element you render.
+   * @property {ReactElement} KeyboardRegion - Component - This component is responsible for changing the step when navigation keys are pressed while it has focus.
+   *  Alternatively, use `getKeyboardProps` if you prefer the prop getter patern. It returns the props you should apply to a focusable element you render that wraps your steps.
    * @property {ReactElement} StepIndex - Component - This component is responsible for setting the current step of dub-step. _NOTE: It takes a step prop representing the step to which dub-step should change._
    *  Alternatively, use `getStepControlProps` if you prefer the prop getter patern. It returns the props you should apply to an element you render that sets the step of dub-step.
+   *  Pass `role: 'tab'` to get the `aria-selected`/`aria-controls` linkage of a tab that controls the slide with the same step.
+   * @property {ReactElement} Container - Component - This component is responsible for marking up the carousel region that wraps your slides and controls.
+   *  Alternatively, use `getContainerProps` if you prefer the prop getter patern. It returns the props you should apply to the outermost element you render.
+   * @property {ReactElement} Slide - Component - This component is responsible for labelling a slide and hiding it from assistive technology while it is inactive. _NOTE: It takes a step prop representing the step of the slide._
+   *  Alternatively, use `getSlideProps` if you prefer the prop getter patern. It returns the props you should apply to each slide element you render.
+   * @property {ReactElement} TabList - Component - This component is responsible for grouping StepIndex components rendered with `role="tab"`.
+   *  Alternatively, use `getTabListProps` if you prefer the prop getter patern. It returns the props you should apply to the element wrapping your tabs.
+   *  The arrow keys along the axis of the steps, Home and End select another tab and move the focus to it.
+   * @property {ReactElement} LiveRegion - Component - This component is responsible for announcing step changes when the `announce` prop is set. It is visually hidden by default.
+   *  Alternatively, use `getLiveRegionProps` if you prefer the prop getter patern. It returns the props (including the announcement as `children`) you should apply to an element you render.
    * 
    * @property {function} next - Action - Increments the step by the stepInterval.
    * @property {function} previous - Action - Decrements the step by the stepInterval.
    * @property {function} play - Action - Starts the dub-step incrementor interval.
    * @property {function} pause - Action - Pauses dub-step.
+   * @property {function} markComplete - Action - Marks a step (the current one by default) complete.
+   * @property {function} reset - Action - Goes back to the `defaultStep` and forgets which steps were visited and completed.
+   * @property {function} goTo - Action - Changes the step to the one given, wrapped around with `cycle` and clamped to `total` otherwise. Ignored while animating.
+   * @property {function} first - Action - Changes the step to the first step. Ignored while animating.
+   * @property {function} last - Action - Changes the step to the last step. Requires `total`. Ignored while animating.
+   * @property {function} jumpBy - Action - Changes the step by the number of steps given (negative numbers go back). Ignored while animating.
+   * @property {function} back - Action - Changes the step to the one before it in `stepHistory`. Requires `trackHistory`.
+   * @property {function} forward - Action - Changes the step to the one after it in `stepHistory`, undoing `back`. Requires `trackHistory`.
    */
 
   /**
@@ -339,18 +1086,38 @@ class DubStep extends Component {
    *  The state and helper functions exposed as a parameter to the render callback
    */
   getStateAndHelpers() {
+    const duration = this.getDuration() || 0;
+    const elapsed = this.getElapsedTime();
     return {
       // State
       step: this.getControlledProp('step'),
       paused: this.getControlledProp('paused'),
-      animating: this.state.animating,
-      swiping: this.state.swiping,
-      dragging: this.state.dragging,
-      swipeLeftDistance: this.state.swipeLeftDistance,
-      swipeDownDistance: this.state.swipeDownDistance,
-      swiped: this.state.swiped,
-      swipeRatio: this.state.swipeRatio,
-      swipeDirectionSign: this.state.swipeDirectionSign,
+      animating: this.getControlledProp('animating'),
+      swiping: this.getControlledProp('swiping'),
+      dragging: this.getControlledProp('dragging'),
+      swipeLeftDistance: this.getControlledProp('swipeLeftDistance'),
+      swipeDownDistance: this.getControlledProp('swipeDownDistance'),
+      swiped: this.getControlledProp('swiped'),
+      swipeRatio: this.getControlledProp('swipeRatio'),
+      swipeDirectionSign: this.getControlledProp('swipeDirectionSign'),
+      swipeVelocity: this.getControlledProp('swipeVelocity'),
+      overscroll: this.getControlledProp('overscroll'),
+      swipeAxis: this.getControlledProp('swipeAxis'),
+      pending: this.getControlledProp('pending'),
+      visitedSteps: this.getControlledProp('visitedSteps'),
+      completedSteps: this.getControlledProp('completedSteps'),
+      maxReachedStep: this.getControlledProp('maxReachedStep'),
+      stepHistory: this.getControlledProp('stepHistory'),
+      stepHistoryIndex: this.getControlledProp('stepHistoryIndex'),
+      atStart: this.isAtStart(),
+      atEnd: this.isAtEnd(),
+      canGoNext: this.getNextStep() !== this.getControlledProp('step'),
+      canGoPrevious: this.getPreviousStep() !== this.getControlledProp('step'),
+      canGoBack: this.getHistoryStep(-1) !== undefined,
+      canGoForward: this.getHistoryStep(1) !== undefined,
+      progress: duration ? Math.min(elapsed / duration, 1) : 0,
+      remainingMs: Math.max(duration - elapsed, 0),
+      reducedMotion: this.isReducedMotion(),
       // Component/Prop getters
       Next: this.Next,
       getNextControlProps: this.getNextControlProps,
@@ -362,13 +1129,33 @@ class DubStep extends Component {
       getPlayControlProps: this.getPlayControlProps,
       StepIndex: this.StepIndex,
       getStepControlProps: this.getStepControlProps,
+      Container: this.Container,
+      getContainerProps: this.getContainerProps,
+      Slide: this.Slide,
+      getSlideProps: this.getSlideProps,
+      TabList: this.TabList,
+      getTabListProps: this.getTabListProps,
+      LiveRegion: this.LiveRegion,
+      getLiveRegionProps: this.getLiveRegionProps,
+      getRootProps: this.getRootProps,
       Step: this.Step,
       getStepProps: this.getStepProps,
+      KeyboardRegion: this.KeyboardRegion,
+      getKeyboardProps: this.getKeyboardProps,
+      getWheelProps: this.getWheelProps,
       // Actions
       next: this.next,
       previous: this.previous,
       pause: this.pause,
       play: this.play,
+      markComplete: this.markComplete,
+      reset: this.reset,
+      goTo: this.goTo,
+      first: this.first,
+      last: this.last,
+      jumpBy: this.jumpBy,
+      back: this.back,
+      forward: this.forward,
     };
   }
 
@@ -395,6 +1182,23 @@ class DubStep extends Component {
     <Comp {...this.getStepProps(otherProps)} />
   );
 
+  /**
+   * This component is responsible for changing the step when navigation keys are pressed while it has focus.
+   *
+   * @example
+   * // ArrowRight/PageDown go to the next step, ArrowLeft/PageUp to the previous one and Home/End to the first/last.
+   * <KeyboardRegion aria-label="doge pics">
+   *   <Step component={GlamorousDogeImg} src={url} alt="doge pic" />
+   * </KeyboardRegion>
+   *
+   * @param {object} props
+   * @param {ReactElement|string} [props.component=div] The element to render
+   * @return {ReactElement}
+   */
+  KeyboardRegion = ({ component: Comp = 'div', ...otherProps }) => (
+    <Comp {...this.getKeyboardProps(otherProps)} />
+  );
+
   /**
    * This component is responsible for incrementing the step by the stepInterval value.
    * 
@@ -473,46 +1277,533 @@ class DubStep extends Component {
     <Comp {...this.getStepControlProps({ step, ...otherProps })} />
   );
 
+  /**
+   * This component is responsible for marking up the carousel region that wraps your slides and controls.
+   *
+   * @example
+   * <Container aria-label="doge pics">
+   *   {slides.map((url, i) => <Slide step={i} key={url} />)}
+   * </Container>
+   *
+   * @param {object} props
+   * @param {ReactElement|string} [props.component=section] The element to render
+   * @return {ReactElement}
+   */
+  Container = ({ component: Comp = 'section', ...otherProps }) => (
+    <Comp {...this.getContainerProps(otherProps)} />
+  );
+
+  /**
+   * This component is responsible for labelling a slide and hiding it from assistive technology while it is inactive.
+   *
+   * @example
+   * // Renders <div id="dub-step-1-slide-2" role="group" aria-roledescription="slide" aria-label="3 of 10" aria-hidden="true">
+   * <Slide step={2}>
+   *   <img src={url} alt="doge pic" />
+   * </Slide>
+   *
+   * @param {object} props
+   * @param {number} step The step of the slide.
+   * @param {ReactElement|string} [props.component=div] The element to render
+   * @return {ReactElement}
+   */
+  Slide = ({ component: Comp = 'div', step, ...otherProps }) => (
+    <Comp {...this.getSlideProps({ step, ...otherProps })} />
+  );
+
+  /**
+   * This component is responsible for grouping StepIndex components rendered with `role="tab"`.
+   *
+   * @example
+   * <TabList>
+   *   {slides.map((url, i) => (
+   *     <StepIndex role="tab" step={i} key={url}>{i + 1}</StepIndex>
+   *   ))}
+   * </TabList>
+   *
+   * @param {object} props
+   * @param {ReactElement|string} [props.component=div] The element to render
+   * @return {ReactElement}
+   */
+  TabList = ({ component: Comp = 'div', ...otherProps }) => (
+    <Comp {...this.getTabListProps(otherProps)} />
+  );
+
+  /**
+   * This component is responsible for announcing step changes when the `announce` prop is set.
+   *
+   * @example
+   * // Rendered visually hidden, announces "Slide 2 of 5" once the step has changed.
+   * <LiveRegion />
+   *
+   * @param {object} props
+   * @param {ReactElement|string} [props.component=div] The element to render
+   * @return {ReactElement}
+   */
+  LiveRegion = ({ component: Comp = 'div', style, ...otherProps }) => (
+    <Comp
+      {...this.getLiveRegionProps({
+        style: { ...visuallyHiddenStyle, ...style },
+        ...otherProps,
+      })}
+    />
+  );
+
   isPropControlled(prop) {
     return this.props[prop] !== undefined;
   }
 
+  warnOnControlChange(prevProps) {
+    exposedStateKeys.forEach(key => {
+      const wasControlled = prevProps[key] !== undefined;
+      if (wasControlled !== this.isPropControlled(key)) {
+        const [from, to] = wasControlled
+          ? ['controlled', 'uncontrolled']
+          : ['uncontrolled', 'controlled'];
+        // eslint-disable-next-line no-console
+        console.error(
+          `dub-step: The \`${key}\` prop changed from ${from} to ${to}. ` +
+            'Decide between using a controlled or uncontrolled prop for the lifetime of the component.'
+        );
+      }
+    });
+  }
+
+  isDisabled(step) {
+    return (
+      this.props.disabledSteps.indexOf(step) !== -1 ||
+      Boolean(this.props.isStepDisabled(step))
+    );
+  }
+
+  isReachable(step) {
+    return (
+      !this.props.linear ||
+      step <= this.getControlledProp('maxReachedStep') ||
+      step === this.getNextStep()
+    );
+  }
+
+  isAtStart() {
+    return (
+      Boolean(this.props.total) &&
+      !this.props.cycle &&
+      this.getControlledProp('step') <= 0
+    );
+  }
+
+  isAtEnd() {
+    return (
+      Boolean(this.props.total) &&
+      !this.props.cycle &&
+      this.getControlledProp('step') >= this.props.total - 1
+    );
+  }
+
+  /**
+   * Applies the `edgeResistance` prop to the distance dragged past the first or last step.
+   * @private
+   *
+   * @param {number} overscroll The distance dragged past the edge
+   * @return {number} The dampened distance
+   */
+  resistEdge(overscroll) {
+    const { edgeResistance } = this.props;
+    if (typeof edgeResistance === 'function') {
+      return edgeResistance(overscroll, this.targetSize);
+    }
+    return rubberBand(
+      overscroll,
+      this.targetSize,
+      edgeResistance === true ? 0.55 : edgeResistance
+    );
+  }
+
+  isOtherPointer(e) {
+    return e.pointerId !== undefined && e.pointerId !== this.pointerId;
+  }
+
+  isReducedMotion(preference = this.state.prefersReducedMotion) {
+    return this.props.reducedMotion === 'auto'
+      ? preference
+      : this.props.reducedMotion === 'always';
+  }
+
+  isAutoPlaying() {
+    return (
+      Boolean(this.props.duration) &&
+      !this.getControlledProp('paused') &&
+      !this.hidden &&
+      !this.offscreen
+    );
+  }
+
+  /**
+   * Stops or resumes the autoplay timer when the page is hidden/shown or the
+   * root element scrolls out of/into view. The `paused` state is left alone.
+   * @private
+   *
+   * @param {string} reason Either `'hidden'` or `'offscreen'`
+   * @param {boolean} suspended Is autoplay suspended for that reason?
+   */
+  suspendAutoPlay(reason, suspended) {
+    this[reason] = suspended;
+    if (!this.isAutoPlaying()) {
+      this.timer = this.stopPlaying();
+    } else if (!this.timer) {
+      this.timer = this.startPlaying();
+    }
+  }
+
+  /**
+   * Adds the current step to the visited steps, the furthest step reached and
+   * the step history. Called once a step change is applied, so that a step the
+   * `stateReducer` or the parent turned down isn't recorded.
+   * @private
+   *
+   * @param {string} type The type of the step change
+   * @param {function} callback Called once the state is updated
+   */
+  recordStep(type, callback) {
+    const step = this.getControlledProp('step');
+    const visitedSteps = this.getControlledProp('visitedSteps');
+    this.internalSetState(
+      {
+        type,
+        visitedSteps:
+          visitedSteps.indexOf(step) === -1
+            ? [...visitedSteps, step]
+            : visitedSteps,
+        maxReachedStep: Math.max(
+          this.getControlledProp('maxReachedStep'),
+          step
+        ),
+        ...this.getHistoryChanges(step, type),
+      },
+      callback
+    );
+  }
+
+  /**
+   * Creates a ref callback that listens for wheel events on the node it is
+   * given. Each ref keeps track of one node, so the Step component and the
+   * element given `getWheelProps` get their own.
+   * @private
+   *
+   * @return {function} The ref callback
+   */
+  createWheelRef() {
+    let wheelNode;
+    return node => {
+      if (wheelNode) {
+        wheelNode.removeEventListener('wheel', this.wheel, { passive: false });
+      }
+      wheelNode = node;
+      if (node) {
+        node.addEventListener('wheel', this.wheel, { passive: false });
+      }
+    };
+  }
+
+  /**
+   * (Re)creates the observer that suspends autoplay while the root element is
+   * out of view, following the `pauseWhenOffscreen` prop.
+   * @private
+   */
+  observeRoot() {
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      delete this.intersectionObserver;
+    }
+    if (
+      this.rootNode &&
+      this.props.pauseWhenOffscreen &&
+      typeof IntersectionObserver === 'function'
+    ) {
+      this.intersectionObserver = new IntersectionObserver(entries =>
+        // Entries are queued oldest first, so the last one is current.
+        this.suspendAutoPlay(
+          'offscreen',
+          !entries[entries.length - 1].isIntersecting
+        )
+      );
+      this.intersectionObserver.observe(this.rootNode);
+    }
+  }
+
+  /**
+   * Runs the proposed changes through the `stateReducer` prop, applies the
+   * result to the state that isn't controlled and reports what changed to
+   * `onStateChange`.
+   * @private
+   *
+   * @param {object} changes The proposed changes, tagged with a `type`
+   * @param {function} callback Called with the reduced changes once they are applied
+   */
+  internalSetState(changes, callback = () => {}) {
+    const currentState = this.getState();
+    const { type, ...reducedChanges } = this.props.stateReducer(
+      currentState,
+      changes
+    );
+    const stateToSet = Object.keys(reducedChanges)
+      .filter(key => !this.isPropControlled(key))
+      .reduce((acc, key) => ({ ...acc, [key]: reducedChanges[key] }), {});
+    const changedState = Object.keys(reducedChanges)
+      .filter(
+        key =>
+          exposedStateKeys.indexOf(key) !== -1 &&
+          reducedChanges[key] !== currentState[key]
+      )
+      .reduce((acc, key) => ({ ...acc, [key]: reducedChanges[key] }), {});
+    this.setState(stateToSet, () => {
+      if (Object.keys(changedState).length) {
+        this.props.onStateChange(
+          { type, ...changedState },
+          this.getStateAndHelpers()
+        );
+      }
+      callback(reducedChanges);
+    });
+  }
+
   startPlaying() {
-    return setInterval(() => {
-      this.next();
-    }, this.props.duration);
+    const duration = this.getDuration();
+    if (!duration) {
+      return undefined;
+    }
+    // Resume where the timer was stopped if it is still on the same step.
+    this.elapsedTime = this.getElapsedTime();
+    this.timerStep = this.getControlledProp('step');
+    this.timerStartedAt = Date.now();
+    if (this.props.trackProgress) {
+      this.requestProgressFrame();
+    }
+    return setTimeout(() => {
+      delete this.timer;
+      this.elapsedTime = 0;
+      if (this.getNextStep() === this.getControlledProp('step')) {
+        // No enabled step follows, so there is nothing to play on to.
+        return;
+      }
+      this.moveNext(stateChangeTypes.autoplayTick);
+    }, Math.max(duration - this.elapsedTime, 0));
   }
 
   stopPlaying() {
-    return clearInterval(this.interval);
+    if (this.timer) {
+      this.elapsedTime = this.getElapsedTime();
+    }
+    return clearTimeout(this.timer);
   }
 
-  next = () => {
-    const nextStep = this.getNextStep();
+  requestProgressFrame() {
+    if (this.progressFrame) {
+      return;
+    }
+    this.progressFrame = requestAnimationFrame(() => {
+      delete this.progressFrame;
+      if (this.timer) {
+        this.forceUpdate();
+        this.requestProgressFrame();
+      }
+    });
+  }
+
+  moveNext(type, count = 1) {
+    const nextStep =
+      count > 1
+        ? this.getStepBy(count * this.props.stepInterval)
+        : this.getNextStep();
     this.props.onNext(nextStep, this.getStateAndHelpers());
-    return this.changeSlide(nextStep);
-  };
-  previous = () => {
-    const previousStep = this.getPreviousStep();
+    return this.changeSlide(nextStep, type);
+  }
+
+  movePrevious(type, count = 1) {
+    const previousStep =
+      count > 1
+        ? this.getStepBy(-count * this.props.stepInterval)
+        : this.getPreviousStep();
     this.props.onPrevious(previousStep, this.getStateAndHelpers());
-    this.changeSlide(previousStep);
-  };
-  pause = () => {
+    this.changeSlide(previousStep, type);
+  }
+
+  moveTo(step, type) {
+    if (this.getControlledProp('animating')) {
+      return;
+    }
+    this.changeSlide(step, type);
+  }
+
+  moveFirst(type) {
+    this.moveTo(this.getFirstStep(), type);
+  }
+
+  moveLast(type) {
+    if (this.props.total) {
+      this.moveTo(this.getLastStep(), type);
+    }
+  }
+
+  changePlayState(paused, type) {
     if (!this.isPropControlled('paused')) {
-      this.setPlayState(true);
+      this.setPlayState(paused, type);
+    }
+    if (paused) {
+      this.props.onPause(this.getStateAndHelpers());
+    } else {
+      this.props.onPlay(this.getStateAndHelpers());
+    }
+  }
+
+  next = () => this.moveNext(stateChangeTypes.next);
+  previous = () => this.movePrevious(stateChangeTypes.previous);
+  pause = () => this.changePlayState(true, stateChangeTypes.pause);
+  play = () => this.changePlayState(false, stateChangeTypes.play);
+  goTo = step =>
+    this.moveTo(this.getNormalizedStep(step), stateChangeTypes.goTo);
+  first = () => this.moveFirst(stateChangeTypes.first);
+  last = () => this.moveLast(stateChangeTypes.last);
+  jumpBy = count => this.moveTo(this.getStepBy(count), stateChangeTypes.jumpBy);
+  back = () => {
+    const step = this.getHistoryStep(-1);
+    if (step !== undefined) {
+      this.moveTo(step, stateChangeTypes.back);
     }
-    this.props.onPause(this.getStateAndHelpers());
   };
-  play = () => {
-    if (!this.isPropControlled('paused')) {
-      this.setPlayState(false);
+  forward = () => {
+    const step = this.getHistoryStep(1);
+    if (step !== undefined) {
+      this.moveTo(step, stateChangeTypes.forward);
+    }
+  };
+  markComplete = (step = this.getControlledProp('step')) => {
+    const completedSteps = this.getControlledProp('completedSteps');
+    if (completedSteps.indexOf(step) === -1) {
+      this.internalSetState({
+        type: stateChangeTypes.markComplete,
+        completedSteps: [...completedSteps, step],
+      });
+    }
+  };
+  reset = () => {
+    const { defaultStep } = this.props;
+    // Drop a step change still waiting for canChange or its animation.
+    this.changeId = undefined;
+    clearTimeout(this.animationEndCallback);
+    delete this.animationEndCallback;
+    this.setStepState({
+      type: stateChangeTypes.reset,
+      animating: false,
+      pending: false,
+      step: defaultStep,
+      swipeLeftDistance: 0,
+      swipeDownDistance: 0,
+      visitedSteps: [defaultStep],
+      completedSteps: [],
+      maxReachedStep: defaultStep,
+      stepHistory: [defaultStep],
+      stepHistoryIndex: 0,
+    });
+  };
+  keyDown = e => {
+    if (
+      e.altKey ||
+      e.ctrlKey ||
+      e.metaKey ||
+      closestWithin(e.target, EDITABLE_SELECTOR, e.currentTarget)
+    ) {
+      // Leave browser shortcuts and keys typed into form controls alone.
+      return;
+    }
+    const { keyDown } = stateChangeTypes;
+    const keyMap =
+      this.props.keyMap ||
+      getDefaultKeyMap(this.props.vertical, this.props.rtl);
+    const action = {
+      next: () => this.moveNext(keyDown),
+      previous: () => this.movePrevious(keyDown),
+      first: () => this.moveFirst(keyDown),
+      last: () => this.moveLast(keyDown),
+    }[keyMap[e.key]];
+    if (!action) {
+      return;
+    }
+    e.preventDefault();
+    action();
+  };
+  tabListKeyDown = e => {
+    const step = {
+      next: this.getNextStep(),
+      previous: this.getPreviousStep(),
+      first: this.getFirstStep(),
+      last: this.props.total ? this.getLastStep() : undefined,
+    }[getDefaultKeyMap(this.props.vertical, this.props.rtl)[e.key]];
+    if (
+      e.altKey ||
+      e.ctrlKey ||
+      e.metaKey ||
+      step === undefined ||
+      !this.isReachable(step)
+    ) {
+      return;
+    }
+    e.preventDefault();
+    this.changeSlide(step, stateChangeTypes.keyDown);
+    // Unselected tabs are out of the tab order, so the focus follows the selection.
+    const tab = document.getElementById(this.getTabId(step));
+    if (tab) {
+      tab.focus();
+    }
+  };
+  reducedMotionChange = ({ matches }) => {
+    this.setState({ prefersReducedMotion: matches });
+  };
+  visibilityChange = () => {
+    this.suspendAutoPlay('hidden', document.hidden);
+  };
+  stepWheelRef = this.createWheelRef();
+  wheelRef = this.createWheelRef();
+  rootRef = node => {
+    this.rootNode = node;
+    this.observeRoot();
+  };
+  wheel = e => {
+    const delta = getWheelDelta(e, this.props.vertical, this.props.rtl);
+    if (!delta) {
+      // Leave scrolling across the axis of the steps to the browser.
+      return;
+    }
+    e.preventDefault();
+    // Every event of a gesture (inertial tail included) postpones the reset.
+    clearTimeout(this.wheelTimeout);
+    this.wheelTimeout = setTimeout(() => {
+      delete this.wheelTimeout;
+      delete this.wheelDelta;
+      delete this.wheelHandled;
+    }, this.props.wheelDebounce);
+    if (this.wheelHandled) {
+      return;
+    }
+    if (this.getControlledProp('animating')) {
+      this.wheelHandled = true;
+      return;
+    }
+    this.wheelDelta = (this.wheelDelta || 0) + delta;
+    if (Math.abs(this.wheelDelta) < this.props.wheelThreshold) {
+      return;
+    }
+    this.wheelHandled = true;
+    if (this.wheelDelta > 0) {
+      this.moveNext(stateChangeTypes.wheel);
+    } else {
+      this.movePrevious(stateChangeTypes.wheel);
     }
-    this.props.onPlay(this.getStateAndHelpers());
   };
   mouseEnter = e => {
     e.preventDefault();
     if (!this.getControlledProp('paused') && this.props.pauseOnHover) {
-      this.pause();
+      this.changePlayState(true, stateChangeTypes.mouseEnter);
       this.wasPlaying = true;
     }
   };
@@ -523,11 +1814,26 @@ class DubStep extends Component {
       this.getControlledProp('paused') &&
       this.props.pauseOnHover
     ) {
-      this.play();
+      this.changePlayState(false, stateChangeTypes.mouseLeave);
       delete this.wasPlaying;
     }
   };
+  clickCapture = e => {
+    if (this.preventNextClick) {
+      e.preventDefault();
+      e.stopPropagation();
+      delete this.preventNextClick;
+    }
+  };
+  dragStart = e => {
+    if (this.props.draggable) {
+      // Prevent the browser from dragging a ghost image of links and images.
+      e.preventDefault();
+    }
+  };
   swipeStart = e => {
+    // Whatever the last drag was, the click that could follow it has passed.
+    delete this.preventNextClick;
     if (
       this.props.swipe === false ||
       ('ontouchend' in document && this.props.swipe === false)
@@ -535,23 +1841,37 @@ class DubStep extends Component {
       return;
     } else if (
       this.props.draggable === false &&
-      e.type.indexOf('mouse') !== -1
+      (e.pointerType || e.type).indexOf('mouse') !== -1
+    ) {
+      return;
+    } else if (
+      (this.props.noSwipeSelector &&
+        closestWithin(e.target, this.props.noSwipeSelector, e.currentTarget)) ||
+      this.props.shouldStartSwipe(e) === false
     ) {
       return;
     }
+    if (e.pointerId !== undefined) {
+      this.pointerId = e.pointerId;
+    }
     const posX = e.touches !== undefined ? e.touches[0].pageX : e.clientX;
     const posY = e.touches !== undefined ? e.touches[0].pageY : e.clientY;
     this.targetSize =
       e.target[this.props.vertical ? 'offsetHeight' : 'offsetWidth'];
-    this.setState(
+    delete this.edgeReached;
+    this.internalSetState(
       {
+        type: stateChangeTypes.swipeStart,
         dragging: true,
+        swipeAxis: null,
+        swipeVelocity: 0,
         touchObject: {
           startX: posX,
           startY: posY,
           curX: posX,
           curY: posY,
           swipeLength: 0,
+          samples: [{ x: posX, y: posY, time: Date.now() }],
         },
       },
       () => {
@@ -563,14 +1883,13 @@ class DubStep extends Component {
     );
   };
   swipeMove = e => {
-    e.preventDefault();
-    if (!this.state.dragging) {
+    if (!this.getControlledProp('dragging') || this.isOtherPointer(e)) {
       return;
     }
-    if (this.state.animating) {
+    if (this.getControlledProp('animating')) {
       return;
     }
-    const touchObject = this.state.touchObject;
+    const touchObject = { ...this.state.touchObject };
     const axis = this.props.vertical ? 'Y' : 'X';
     touchObject.curX = e.touches ? e.touches[0].pageX : e.clientX;
     touchObject.curY = e.touches ? e.touches[0].pageY : e.clientY;
@@ -585,16 +1904,70 @@ class DubStep extends Component {
       Math.sqrt((touchObject[`cur${axis}`] - touchObject[`start${axis}`]) ** 2)
     );
 
+    if (!this.getControlledProp('swipeAxis')) {
+      const swipeAxis = this.getSwipeAxis(touchObject);
+      if (!swipeAxis) {
+        return;
+      }
+      if (swipeAxis !== axis.toLowerCase()) {
+        // The gesture isn't along the steps, so leave it to the browser (e.g. to scroll the page).
+        this.internalSetState({
+          type: stateChangeTypes.swipeMove,
+          dragging: false,
+          swipeAxis,
+        });
+        return;
+      }
+      if (e.pointerId !== undefined && e.currentTarget.setPointerCapture) {
+        // Keep receiving the pointer's events when it leaves the element.
+        // Capturing on pointerdown would send the click of a tap to the Step
+        // instead of the link or button under the pointer.
+        e.currentTarget.setPointerCapture(e.pointerId);
+      }
+    }
+    e.preventDefault();
+
     const positionOffsetX = touchObject.curX > touchObject.startX ? 1 : -1;
     const positionOffsetY = touchObject.curY > touchObject.startY ? 1 : -1;
 
-    const swipeLeftDistance = touchObject.swipeLengthX * positionOffsetX;
-    const swipeDownDistance = touchObject.swipeLengthY * positionOffsetY;
+    let swipeLeftDistance = touchObject.swipeLengthX * positionOffsetX;
+    let swipeDownDistance = touchObject.swipeLengthY * positionOffsetY;
     const swipeDirectionSign = getSign(
       this.props.vertical ? swipeDownDistance : swipeLeftDistance
     );
-    this.setState(
+
+    // Dragging right/down moves towards the first step, left/up towards the last.
+    let edge = null;
+    if (this.isAtStart() && swipeDirectionSign === 1) {
+      edge = 'start';
+    } else if (this.isAtEnd() && swipeDirectionSign === -1) {
+      edge = 'end';
+    }
+    const overscroll = edge ? touchObject[`swipeLength${axis}`] : 0;
+    if (edge && this.props.edgeResistance) {
+      const resistedDistance = swipeDirectionSign * this.resistEdge(overscroll);
+      if (this.props.vertical) {
+        swipeDownDistance = resistedDistance;
+      } else {
+        swipeLeftDistance = resistedDistance;
+      }
+    }
+    if (edge && this.edgeReached !== edge) {
+      this.edgeReached = edge;
+      this.props.onEdgeReached(edge, this.getStateAndHelpers());
+    }
+    // Only the samples within the velocity window are needed to compute the velocity.
+    const sample = {
+      x: touchObject.curX,
+      y: touchObject.curY,
+      time: Date.now(),
+    };
+    touchObject.samples = [...touchObject.samples, sample].filter(
+      ({ time }) => sample.time - time <= VELOCITY_WINDOW
+    );
+    this.internalSetState(
       {
+        type: stateChangeTypes.swipeMove,
         touchObject,
         swipeLeftDistance,
         swipeDownDistance,
@@ -605,30 +1978,49 @@ class DubStep extends Component {
           touchObject[`swipeLength${axis}`] /
           (this.targetSize / this.props.touchThreshold),
         swipeDirectionSign,
+        swipeAxis: axis.toLowerCase(),
+        overscroll,
+        swipeVelocity: getVelocity(
+          touchObject.samples,
+          this.props.vertical ? 'y' : 'x',
+          sample.time
+        ),
+        swiping:
+          this.getControlledProp('swiping') || touchObject.swipeLength > 4,
       },
       () => {
         this.props.onSwipeMove(
-          { swipeLeftDistance, swipeDownDistance, swiped: this.state.swiped },
+          {
+            swipeLeftDistance,
+            swipeDownDistance,
+            swiped: this.getControlledProp('swiped'),
+          },
           this.getStateAndHelpers()
         );
       }
     );
-
-    if (touchObject.swipeLength > 4) {
-      this.setState({ swiping: true });
-    }
   };
   swipeEnd = e => {
-    if (!this.state.dragging) {
+    if (this.isOtherPointer(e)) {
+      return;
+    }
+    if (!this.getControlledProp('dragging')) {
       if (this.props.swipe) {
         e.preventDefault();
       }
       return;
     }
-    const swipeDirectionSign = this.state.swipeDirectionSign;
+    const swipeDirectionSign = this.getControlledProp('swipeDirectionSign');
     const touchObject = this.state.touchObject;
     const minSwipe = this.targetSize / this.props.touchThreshold;
-    const wasAnimating = this.state.animating;
+    const wasAnimating = this.getControlledProp('animating');
+    const releaseVelocity = getVelocity(
+      touchObject.samples,
+      this.props.vertical ? 'y' : 'x'
+    );
+    const swipeDistance = this.getControlledProp(
+      this.props.vertical ? 'swipeDownDistance' : 'swipeLeftDistance'
+    );
 
     // Reset the state of touch related state variables.
     const resetState = {
@@ -639,6 +2031,10 @@ class DubStep extends Component {
       swipeDirectionSign: 1,
       swipeLeftDistance: 0,
       swipeDownDistance: 0,
+      overscroll: 0,
+      swipeAxis: null,
+      // Kept after the swipe has ended so that it can be used for momentum.
+      swipeVelocity: releaseVelocity,
       touchObject: {
         startX: 0,
         startY: 0,
@@ -647,11 +2043,15 @@ class DubStep extends Component {
         swipeLength: 0,
         swipeLengthX: 0,
         swipeLengthY: 0,
+        samples: [],
       },
     };
-    this.setState(resetState, () => {
-      this.props.onSwipeEnd(resetState, this.getStateAndHelpers());
-    });
+    this.internalSetState(
+      { type: stateChangeTypes.swipeEnd, ...resetState },
+      () => {
+        this.props.onSwipeEnd(resetState, this.getStateAndHelpers());
+      }
+    );
     if (wasAnimating) {
       return;
     }
@@ -660,22 +2060,94 @@ class DubStep extends Component {
       return;
     }
 
-    if (touchObject.swipeLength > minSwipe) {
+    // Touch swipes aren't followed by a click.
+    if (
+      touchObject.swipeLength > this.props.dragClickThreshold &&
+      (e.pointerType || e.type).indexOf('touch') === -1
+    ) {
+      this.preventNextClick = true;
+    }
+
+    const flicked =
+      Boolean(this.props.flickVelocity) &&
+      Math.abs(releaseVelocity) >= this.props.flickVelocity;
+    if (touchObject.swipeLength > minSwipe || flicked) {
       e.preventDefault();
+      // A short flick may not have moved far enough to trust its distance.
+      const directionSign =
+        touchObject.swipeLength > minSwipe
+          ? swipeDirectionSign
+          : getSign(releaseVelocity);
 
-      if (this.props.swipeIterateOnly || swipeDirectionSign === -1) {
-        this.next();
+      const count = this.props.multiStepSwipe
+        ? this.getSwipeStepCount(swipeDistance, releaseVelocity)
+        : 1;
+
+      if (this.props.swipeIterateOnly || directionSign === -1) {
+        this.moveNext(stateChangeTypes.swipeEnd, count);
       } else {
-        this.previous();
+        this.movePrevious(stateChangeTypes.swipeEnd, count);
+      }
+    }
+  };
+  changeSlide = (requestedStep, type) => {
+    let step = requestedStep;
+    if (!this.isReachable(step)) {
+      if (clampedChangeTypes.indexOf(type) === -1) {
+        return;
+      }
+      step = this.getFurthestReachableStep();
+    }
+    if (this.isDisabled(step)) {
+      return;
+    }
+    const from = this.getControlledProp('step');
+    const allowed = this.props.canChange(from, step, this.getStateAndHelpers());
+    const changeId = {};
+    // A newer step change makes the outcome of this one's canChange stale.
+    this.changeId = changeId;
+
+    const settle = canChange => {
+      if (canChange) {
+        this.transitionTo(step, type);
+        return;
       }
+      this.props.onChangeRejected(from, step, this.getStateAndHelpers());
+      if (!this.timer && this.isAutoPlaying()) {
+        this.timer = this.startPlaying();
+      }
+    };
+
+    if (!allowed || typeof allowed.then !== 'function') {
+      if (this.getControlledProp('pending')) {
+        this.internalSetState({ type, pending: false });
+      }
+      settle(allowed !== false);
+      return;
     }
+    this.internalSetState({ type, pending: true });
+    const settlePending = canChange => {
+      if (this.changeId !== changeId) {
+        return;
+      }
+      this.internalSetState({ type, pending: false }, () => settle(canChange));
+    };
+    allowed.then(
+      result => settlePending(result !== false),
+      () => settlePending(false)
+    );
   };
-  changeSlide = step => {
+
+  transitionTo(step, type) {
+    const animationSpeed = this.isReducedMotion()
+      ? 0
+      : this.props.animationSpeed;
     if (this.props.onBeforeChange) {
       this.props.onBeforeChange(step, this.getStateAndHelpers());
     }
 
     const nextStateChanges = {
+      type,
       animating: false,
       step,
       swipeLeftDistance: 0,
@@ -683,31 +2155,41 @@ class DubStep extends Component {
     };
 
     const callback = () => {
-      this.setStepState(nextStateChanges, () => {
+      delete this.animationEndCallback;
+      this.setStepState(nextStateChanges, changedStep => {
         if (this.props.onAfterChange) {
-          this.props.onAfterChange(step, this.getStateAndHelpers());
+          this.props.onAfterChange(changedStep, this.getStateAndHelpers());
+        }
+        if (this.props.announce) {
+          this.internalSetState({
+            type,
+            announcement: this.props.formatAnnouncement
+              ? this.props.formatAnnouncement({
+                  step: this.getControlledProp('step'),
+                  total: this.props.total,
+                  rtl: this.props.rtl,
+                })
+              : this.getLabel('announcement'),
+          });
         }
-        delete this.animationEndCallback;
       });
     };
 
-    this.setState(
+    this.internalSetState(
       {
+        type,
         // Only set animating if there is a animationSpeed prop.
-        animating: Boolean(this.props.animationSpeed),
+        animating: Boolean(animationSpeed),
       },
       () => {
-        if (this.props.animationSpeed) {
-          this.animationEndCallback = setTimeout(
-            callback,
-            this.props.animationSpeed
-          );
+        if (animationSpeed) {
+          this.animationEndCallback = setTimeout(callback, animationSpeed);
         } else {
           callback();
         }
       }
     );
-  };
+  }
 
   render() {
     const renderProp = unwrapArray(this.props.children);
@@ -715,4 +2197,7 @@ class DubStep extends Component {
   }
 }
 
+DubStep.stateChangeTypes = stateChangeTypes;
+
+export { LabelsProvider };
 export default DubStep;
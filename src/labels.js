@@ -0,0 +1,78 @@
+import { Children, Component } from 'react';
+import PropTypes from 'prop-types';
+
+const stepOfTotal = ({ step, total }) =>
+  total ? `${step + 1} of ${total}` : `${step + 1}`;
+
+/**
+ * The labels used by the built-in prop getters when none are provided through
+ * the `labels` prop or a LabelsProvider.
+ * @private
+ */
+export const defaultLabels = {
+  next: 'next',
+  previous: 'previous',
+  play: 'play',
+  pause: 'pause',
+  change: 'change',
+  tabList: 'slides',
+  slide: stepOfTotal,
+  announcement: args => `Slide ${stepOfTotal(args)}`,
+};
+
+export const labelsPropType = PropTypes.objectOf(
+  PropTypes.oneOfType([PropTypes.string, PropTypes.func])
+);
+
+/**
+ * Resolves a label which may either be a string or a function of `{ step, total, rtl }`.
+ * @private
+ *
+ * @param {string|function} label The label to resolve
+ * @param {object} args The arguments passed to a label function
+ * @return {string} The resolved label
+ */
+export function resolveLabel(label, args) {
+  return typeof label === 'function' ? label(args) : label;
+}
+
+/**
+ * Provides app-wide default labels to every DubStep rendered below it. Labels
+ * passed to a DubStep through its `labels` prop take precedence, and nested
+ * providers are merged with their ancestors.
+ *
+ * @example
+ * <LabelsProvider
+ *   labels={{
+ *     next: 'siguiente',
+ *     previous: 'anterior',
+ *     slide: ({ step, total }) => `${step + 1} de ${total}`,
+ *   }}
+ * >
+ *   <App />
+ * </LabelsProvider>
+ */
+export class LabelsProvider extends Component {
+  static propTypes = {
+    labels: labelsPropType.isRequired,
+    children: PropTypes.node.isRequired,
+  };
+
+  static contextTypes = {
+    dubStepLabels: labelsPropType,
+  };
+
+  static childContextTypes = {
+    dubStepLabels: labelsPropType,
+  };
+
+  getChildContext() {
+    return {
+      dubStepLabels: { ...this.context.dubStepLabels, ...this.props.labels },
+    };
+  }
+
+  render() {
+    return Children.only(this.props.children);
+  }
+}
@@ -1,3 +1,41 @@
+let idCounter = 0;
+
+/**
+ * How far back (in ms) the samples used to compute a swipe velocity reach.
+ * @private
+ */
+export const VELOCITY_WINDOW = 100;
+
+/**
+ * The media query matching users who asked for less motion.
+ * @private
+ */
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Matches the elements that take text input or otherwise handle keys and
+ * gestures themselves.
+ * @private
+ */
+export const EDITABLE_SELECTOR =
+  'input, textarea, select, [contenteditable]:not([contenteditable="false"])';
+
+/**
+ * Hides an element visually while keeping it available to screen readers.
+ * @private
+ */
+export const visuallyHiddenStyle = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0,
+};
+
 /**
  * Calls all functions 
  * @private
@@ -6,6 +44,22 @@
 export function callAll(...fns) {
   return (...args) => fns.forEach(fn => fn && fn(...args));
 }
+
+/**
+ * Passes a node to a ref, whether it is a callback or an object ref.
+ * @private
+ *
+ * @param {function|object} ref The ref to set
+ * @param {*} node The node, or `null` when it is detached
+ */
+export function setRef(ref, node) {
+  if (typeof ref === 'function') {
+    ref(node);
+  } else if (ref) {
+    // eslint-disable-next-line no-param-reassign
+    ref.current = node;
+  }
+}
 /**
  * Takes an argument and if it's an array, returns the first item in the array
  * otherwise returns the argument
@@ -30,3 +84,157 @@ export function unwrapArray(arg) {
 export function getSign(number) {
   return number !== 0 ? Math.sign(number) : 1;
 }
+
+/**
+ * Get the default mapping of `KeyboardEvent.key` values to dub-step actions.
+ * @private
+ *
+ * @param {boolean} vertical Are the steps changing vertically?
+ * @param {boolean} rtl Is the content laid out right to left?
+ * @return {object} The key map
+ */
+export function getDefaultKeyMap(vertical, rtl) {
+  let [previousKey, nextKey] = ['ArrowLeft', 'ArrowRight'];
+  if (vertical) {
+    [previousKey, nextKey] = ['ArrowUp', 'ArrowDown'];
+  } else if (rtl) {
+    [previousKey, nextKey] = [nextKey, previousKey];
+  }
+  return {
+    [previousKey]: 'previous',
+    [nextKey]: 'next',
+    PageUp: 'previous',
+    PageDown: 'next',
+    Home: 'first',
+    End: 'last',
+  };
+}
+
+/**
+ * Generates an id that is unique for the lifetime of the module.
+ * @private
+ *
+ * @return {number} The next id
+ */
+export function generateId() {
+  idCounter += 1;
+  return idCounter;
+}
+
+/**
+ * Computes the velocity of a swipe from its timestamped position samples.
+ * Only the samples within VELOCITY_WINDOW of `now` are taken into account.
+ * @private
+ *
+ * @param {array} samples The `{ x, y, time }` samples recorded while swiping
+ * @param {string} axis Either `x` or `y`
+ * @param {number} now The time at which the velocity is measured
+ * @return {number} The velocity in px/ms
+ */
+export function getVelocity(samples = [], axis, now = Date.now()) {
+  const recent = samples.filter(({ time }) => now - time <= VELOCITY_WINDOW);
+  if (recent.length < 2) {
+    return 0;
+  }
+  const first = recent[0];
+  const last = recent[recent.length - 1];
+  const elapsed = last.time - first.time;
+  return elapsed ? (last[axis] - first[axis]) / elapsed : 0;
+}
+
+/**
+ * Dampens a distance the further it goes, like scrolling past the edge of a
+ * native scroll view.
+ * @private
+ *
+ * @param {number} distance The distance to dampen
+ * @param {number} dimension The size of the element being dragged
+ * @param {number} coefficient How much resistance there is. Lower is stiffer.
+ * @return {number} The dampened distance, never more than `dimension`
+ */
+export function rubberBand(distance, dimension, coefficient) {
+  if (!dimension) {
+    return distance * coefficient;
+  }
+  return (1 - 1 / ((distance * coefficient) / dimension + 1)) * dimension;
+}
+
+/**
+ * Can swipes be tracked with Pointer Events? Both the browser and React
+ * (which only knows about onPointer* props since 16.4) need to support them.
+ * @private
+ *
+ * @param {string} reactVersion The version of React in use
+ * @return {boolean} Whether Pointer Events are supported
+ */
+export function supportsPointerEvents(reactVersion) {
+  if (
+    typeof window === 'undefined' ||
+    typeof window.PointerEvent !== 'function'
+  ) {
+    return false;
+  }
+  const [major, minor] = reactVersion.split('.').map(Number);
+  return major > 16 || (major === 16 && minor >= 4);
+}
+
+/**
+ * Finds the closest element matching a selector, starting at an element and
+ * walking up its ancestors, but no further than a boundary element.
+ * @private
+ *
+ * @param {Element} element The element to start at
+ * @param {string} selector The selector to match
+ * @param {Element} boundary The last ancestor to check
+ * @return {Element} The matching element or null
+ */
+export function closestWithin(element, selector, boundary) {
+  let node = element;
+  while (node && node.nodeType === 1) {
+    const matches = node.matches || node.msMatchesSelector;
+    if (matches && matches.call(node, selector)) {
+      return node;
+    }
+    if (node === boundary) {
+      break;
+    }
+    node = node.parentNode;
+  }
+  return null;
+}
+
+/**
+ * Get the distance (in px) a wheel event scrolled along the axis of the steps,
+ * positive towards the next step.
+ * @private
+ *
+ * @param {WheelEvent} event The wheel event
+ * @param {boolean} vertical Are the steps changing vertically?
+ * @param {boolean} rtl Is the content laid out right to left?
+ * @return {number} The distance, or `0` if the event mostly scrolled across the axis
+ */
+export function getWheelDelta(event, vertical, rtl) {
+  const { deltaX = 0, deltaY = 0, deltaMode = 0 } = event;
+  const delta = vertical ? deltaY : deltaX;
+  if (Math.abs(delta) <= Math.abs(vertical ? deltaX : deltaY)) {
+    return 0;
+  }
+  // Firefox reports mouse wheels in lines (1) and pages (2) rather than pixels (0).
+  const scale = [1, 16, 800][deltaMode] || 1;
+  return delta * scale * (rtl && !vertical ? -1 : 1);
+}
+
+/**
+ * Does the user prefer reduced motion? Always `false` when rendering on the
+ * server or when `matchMedia` isn't supported.
+ * @private
+ *
+ * @return {boolean} Whether the `prefers-reduced-motion: reduce` media query matches
+ */
+export function prefersReducedMotion() {
+  return (
+    typeof window !== 'undefined' &&
+    typeof window.matchMedia === 'function' &&
+    window.matchMedia(REDUCED_MOTION_QUERY).matches
+  );
+}